@@ -0,0 +1,333 @@
+// Slash command definitions shared by the bot and register-commands.js
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { STATS_RANGES } = require('./lib/stats');
+const { LIST_SORTS } = require('./lib/list-view');
+
+// Commands that change what the bot does in a server. Discord hides them from
+// members without Manage Server; the bot also checks at runtime so a server's
+// manager role can use them when given access under Integrations.
+const MANAGER_COMMANDS = ['track', 'remove', 'import', 'creator', 'notify-channel', 'template', 'manager-role'];
+
+// Optional platform/username pair that targets one tracked streamer
+function addStreamerOptions(subcommand, platformChoices, whenEmpty = 'the server default') {
+    return subcommand
+        .addStringOption(option =>
+            option.setName('platform')
+                .setDescription(`Platform of the streamer (leave empty for ${whenEmpty})`)
+                .setRequired(false)
+                .addChoices(...platformChoices))
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription(`Username of the streamer (leave empty for ${whenEmpty})`)
+                .setRequired(false));
+}
+
+// platformChoices comes from the loaded platform providers
+function buildCommands(platformChoices) {
+    const commands = [
+        new SlashCommandBuilder()
+            .setName('track')
+            .setDescription('Add a user to the monitoring list')
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('platform')
+                    .setDescription('Platform to monitor')
+                    .setRequired(true)
+                    .addChoices(...platformChoices))
+            .addStringOption(option =>
+                option.setName('username')
+                    .setDescription('Username to monitor')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('display_name')
+                    .setDescription('Display name for notifications')
+                    .setRequired(false)),
+
+        new SlashCommandBuilder()
+            .setName('remove')
+            .setDescription('Remove a user from the monitoring list')
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('platform')
+                    .setDescription('Platform')
+                    .setRequired(true)
+                    .addChoices(...platformChoices))
+            .addStringOption(option =>
+                option.setName('username')
+                    .setDescription('Username to remove')
+                    .setRequired(true)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('list')
+            .setDescription('List all monitored users')
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('platform')
+                    .setDescription('Only show this platform')
+                    .setRequired(false)
+                    .addChoices(...platformChoices))
+            .addBooleanOption(option =>
+                option.setName('live_only')
+                    .setDescription('Only show streamers who are live now')
+                    .setRequired(false))
+            .addStringOption(option =>
+                option.setName('sort')
+                    .setDescription('Sort order (default: name)')
+                    .setRequired(false)
+                    .addChoices(...Object.entries(LIST_SORTS).map(([value, name]) => ({ name, value })))),
+
+        new SlashCommandBuilder()
+            .setName('export')
+            .setDescription('Download this server\'s tracked streamers')
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('format')
+                    .setDescription('File format (default: JSON)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'JSON', value: 'json' },
+                        { name: 'CSV', value: 'csv' }
+                    )),
+
+        new SlashCommandBuilder()
+            .setName('import')
+            .setDescription('Track every streamer in a JSON or CSV file from /export')
+            .setDMPermission(false)
+            .addAttachmentOption(option =>
+                option.setName('file')
+                    .setDescription('.json or .csv file with platform, username and display name')
+                    .setRequired(true)),
+
+        new SlashCommandBuilder()
+            .setName('creator')
+            .setDescription('Group one creator\'s accounts on several platforms into one announcement')
+            .setDMPermission(false)
+            .addSubcommand(subcommand =>
+                subcommand.setName('create')
+                    .setDescription('Create a creator')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Name shown in announcements')
+                            .setRequired(true)
+                            .setMaxLength(64)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('link')
+                    .setDescription('Add a tracked account to a creator')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Creator name')
+                            .setRequired(true))
+                    .addStringOption(option =>
+                        option.setName('platform')
+                            .setDescription('Platform of the tracked account')
+                            .setRequired(true)
+                            .addChoices(...platformChoices))
+                    .addStringOption(option =>
+                        option.setName('username')
+                            .setDescription('Username of the tracked account')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('unlink')
+                    .setDescription('Remove a tracked account from its creator')
+                    .addStringOption(option =>
+                        option.setName('platform')
+                            .setDescription('Platform of the tracked account')
+                            .setRequired(true)
+                            .addChoices(...platformChoices))
+                    .addStringOption(option =>
+                        option.setName('username')
+                            .setDescription('Username of the tracked account')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('delete')
+                    .setDescription('Delete a creator; its accounts stay tracked')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('Creator name')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('List creators and their accounts')),
+
+        addStreamerOptions(new SlashCommandBuilder()
+            .setName('stats')
+            .setDescription('Show stream history for this server or one streamer')
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('range')
+                    .setDescription('Time range to summarize (default: last 30 days)')
+                    .setRequired(false)
+                    .addChoices(...Object.entries(STATS_RANGES).map(([value, range]) => ({ name: range.name, value })))),
+            platformChoices, 'the whole server'),
+
+        new SlashCommandBuilder()
+            .setName('notify-channel')
+            .setDescription('Configure where go-live notifications are posted')
+            .setDMPermission(false)
+            .addSubcommand(subcommand =>
+                subcommand.setName('set')
+                    .setDescription('Set the channel for go-live notifications')
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Text channel to post notifications in')
+                            .setRequired(true)
+                            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+                    .addStringOption(option =>
+                        option.setName('webhook_url')
+                            .setDescription('Optional webhook in that channel to post through instead of the bot')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('ended')
+                    .setDescription('Choose what happens to a go-live message when the stream ends')
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('What to do with the message')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Edit into a stream summary', value: 'edit' },
+                                { name: 'Delete the message', value: 'delete' }
+                            )))
+            .addSubcommand(subcommand =>
+                subcommand.setName('show')
+                    .setDescription('Show the current notification channel')),
+
+        new SlashCommandBuilder()
+            .setName('template')
+            .setDescription('Customize go-live announcements')
+            .setDMPermission(false)
+            .addSubcommand(subcommand =>
+                addStreamerOptions(subcommand.setName('set')
+                    .setDescription('Set the announcement for this server or one streamer')
+                    .addStringOption(option =>
+                        option.setName('message')
+                            .setDescription('Text with placeholders: {name} {title} {game} {viewers} {url} {platform}')
+                            .setRequired(true)
+                            .setMaxLength(1500)), platformChoices)
+                    .addRoleOption(option =>
+                        option.setName('mention_role')
+                            .setDescription('Role to ping with the announcement')
+                            .setRequired(false))
+                    .addBooleanOption(option =>
+                        option.setName('mention_everyone')
+                            .setDescription('Ping @everyone with the announcement')
+                            .setRequired(false))
+                    .addStringOption(option =>
+                        option.setName('color')
+                            .setDescription('Embed color as hex, e.g. #9146FF')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                addStreamerOptions(subcommand.setName('preview')
+                    .setDescription('Preview the announcement for this server or one streamer'), platformChoices))
+            .addSubcommand(subcommand =>
+                addStreamerOptions(subcommand.setName('reset')
+                    .setDescription('Go back to the default announcement'), platformChoices)),
+
+        new SlashCommandBuilder()
+            .setName('manager-role')
+            .setDescription('Choose a role that can manage the bot without Manage Server')
+            .setDMPermission(false)
+            .addSubcommand(subcommand =>
+                subcommand.setName('set')
+                    .setDescription('Let members with this role manage the bot')
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Manager role')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('clear')
+                    .setDescription('Only allow members with Manage Server'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('show')
+                    .setDescription('Show who can manage the bot')),
+
+        new SlashCommandBuilder()
+            .setName('subscribe')
+            .setDescription('Get a personal alert when a tracked streamer goes live')
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('platform')
+                    .setDescription('Platform of the streamer')
+                    .setRequired(true)
+                    .addChoices(...platformChoices))
+            .addStringOption(option =>
+                option.setName('username')
+                    .setDescription('Username of the tracked streamer')
+                    .setRequired(true)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('unsubscribe')
+            .setDescription('Stop personal alerts for a streamer')
+            .setDMPermission(false)
+            .addStringOption(option =>
+                option.setName('platform')
+                    .setDescription('Platform of the streamer')
+                    .setRequired(true)
+                    .addChoices(...platformChoices))
+            .addStringOption(option =>
+                option.setName('username')
+                    .setDescription('Username of the streamer')
+                    .setRequired(true)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('subscriptions')
+            .setDescription('Manage your personal go-live alerts in this server')
+            .setDMPermission(false)
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Show the streamers you are subscribed to'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('delivery')
+                    .setDescription('Choose how you are alerted')
+                    .addStringOption(option =>
+                        option.setName('method')
+                            .setDescription('Where alerts go')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Direct message', value: 'dm' },
+                                { name: 'Mention in the notification channel', value: 'mention' }
+                            )))
+            .addSubcommand(subcommand =>
+                subcommand.setName('quiet-hours')
+                    .setDescription('Pause your alerts during part of the day')
+                    .addIntegerOption(option =>
+                        option.setName('start')
+                            .setDescription('Hour quiet hours begin (0-23)')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(23))
+                    .addIntegerOption(option =>
+                        option.setName('end')
+                            .setDescription('Hour quiet hours end (0-23)')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(23))
+                    .addStringOption(option =>
+                        option.setName('timezone')
+                            .setDescription('IANA time zone, e.g. Europe/Berlin (default: UTC)')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('quiet-hours-off')
+                    .setDescription('Get alerts at any time of day')),
+
+        new SlashCommandBuilder()
+            .setName('status')
+            .setDescription('Show monitoring status and API usage'),
+
+        new SlashCommandBuilder()
+            .setName('ping')
+            .setDescription('Test if the bot is responding')
+    ];
+
+    for (const command of commands) {
+        if (MANAGER_COMMANDS.includes(command.name)) {
+            command.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+        }
+    }
+    return commands;
+}
+
+module.exports = { buildCommands, MANAGER_COMMANDS };
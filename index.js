@@ -1,12 +1,37 @@
-const { Client, GatewayIntentBits, SlashCommandBuilder, REST, Routes, EmbedBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, REST, Routes, EmbedBuilder, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits, Status } = require('discord.js');
 const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
-const cheerio = require('cheerio');
+const { buildCommands, MANAGER_COMMANDS } = require('./commands');
+const { loadProviders, getPlatformChoices } = require('./platforms');
+const { PollingScheduler, mapWithConcurrency } = require('./lib/scheduler');
+const { createStorage } = require('./lib/storage');
+const { STATS_RANGES, filterByRange, summarizeSessions, pruneHistory, formatHours } = require('./lib/stats');
+const { exportUsers, parseImport } = require('./lib/transfer');
+const { MetricsRegistry } = require('./lib/metrics');
+const { createHttpServer } = require('./lib/http-server');
+const { templateValues, templateRoleIds, buildAnnouncement, parseColor } = require('./lib/templates');
+const { LIST_SORTS, encodeListState, parseListState, selectListEntries, paginate } = require('./lib/list-view');
+const { subscriptionKey, isEmptySubscription, isValidTimeZone, isQuietTime, formatQuietHours, mentionBatches } = require('./lib/subscriptions');
 
 // Load environment variables
 require('dotenv').config();
 
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+// Parses "twitch=1,kick=10" into { twitch: 60000, kick: 600000 }
+function parseIntervals(value = '') {
+    const intervals = {};
+    for (const pair of value.split(',')) {
+        const [platform, minutes] = pair.split('=').map(part => part.trim());
+        if (platform && parseFloat(minutes) > 0) {
+            intervals[platform.toLowerCase()] = parseFloat(minutes) * 60 * 1000;
+        }
+    }
+    return intervals;
+}
+
 // Configuration
 const CONFIG = {
     DISCORD_TOKEN: process.env.DISCORD_TOKEN,
@@ -14,15 +39,115 @@ const CONFIG = {
     YOUTUBE_API_KEY: process.env.YOUTUBE_API_KEY,
     TWITCH_CLIENT_ID: process.env.TWITCH_CLIENT_ID,
     TWITCH_CLIENT_SECRET: process.env.TWITCH_CLIENT_SECRET,
-    WEBHOOK_URL: process.env.WEBHOOK_URL,
-    CHECK_INTERVAL: 5 * 60 * 1000, // 5 minutes
-    DATA_FILE: 'monitored_users.json'
+    // Platform endpoint overrides, e.g. for local stand-ins; unset means the real services
+    TWITCH_API_URL: process.env.TWITCH_API_URL,
+    TWITCH_TOKEN_URL: process.env.TWITCH_TOKEN_URL,
+    YOUTUBE_API_URL: process.env.YOUTUBE_API_URL,
+    YOUTUBE_FEED_URL: process.env.YOUTUBE_FEED_URL,
+    KICK_BASE_URL: process.env.KICK_BASE_URL,
+    TIKTOK_BASE_URL: process.env.TIKTOK_BASE_URL,
+    HTTP_CLIENT: axios, // axios-compatible client for all outgoing requests
+    YOUTUBE_DAILY_QUOTA: process.env.YOUTUBE_DAILY_QUOTA, // Defaults to the standard 10,000 units
+    KICK_TRANSPORT: process.env.KICK_TRANSPORT || 'http', // 'curl' runs requests through the curl binary instead
+    KICK_STRATEGIES_FILE: process.env.KICK_STRATEGIES_FILE, // Optional JSON list replacing the built-in request strategies
+    WEBHOOK_URL: process.env.WEBHOOK_URL, // Fallback for the GUILD_ID server when it has no notify channel
+    DEFAULT_GUILD_ID: process.env.GUILD_ID, // Adopts entries saved before guild scoping
+    CHECK_INTERVAL: 5 * 60 * 1000, // 5 minutes, default for platforms that don't set their own
+    PLATFORM_CHECK_INTERVALS: parseIntervals(process.env.PLATFORM_CHECK_INTERVALS), // e.g. twitch=1,kick=10 (minutes)
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'json', // 'json' or 'sqlite'
+    STORAGE_FILE: process.env.STORAGE_FILE, // Defaults to bot_data.json or bot_data.sqlite
+    // Files from before STORAGE_BACKEND, imported once when the store is first created
+    DATA_FILE: 'monitored_users.json',
+    GUILD_DATA_FILE: 'guild_settings.json',
+    LIVE_STATE_FILE: 'live_state.json',
+    NEW_SESSION_GAP: 10 * 60 * 1000, // A different start time this far apart means a new stream
+    OFFLINE_CHECKS: envNumber('OFFLINE_CHECKS', 2), // Consecutive offline results before a stream counts as ended
+    REANNOUNCE_COOLDOWN: envNumber('REANNOUNCE_COOLDOWN_MINUTES', 15) * 60 * 1000, // Streams back within this window continue the old session
+    HISTORY_RETENTION: envNumber('HISTORY_RETENTION_DAYS', 400) * 24 * 60 * 60 * 1000, // Stream history kept for /stats; 0 keeps everything
+    HTTP_PORT: envNumber('HTTP_PORT', null), // Health, metrics and admin API; disabled when unset
+    HTTP_HOST: process.env.HTTP_HOST || '127.0.0.1',
+    HTTP_API_TOKEN: process.env.HTTP_API_TOKEN, // Bearer token for /api; the API is disabled without it
+    PUSH_POLL_INTERVAL: envNumber('PUSH_POLL_INTERVAL_MINUTES', 15) * 60 * 1000, // Safety-net polling while push notifications work
+    TWITCH_EVENTSUB: process.env.TWITCH_EVENTSUB || 'off', // 'webhook', 'websocket' or 'off'
+    TWITCH_EVENTSUB_CALLBACK_URL: process.env.TWITCH_EVENTSUB_CALLBACK_URL, // Public HTTPS URL routed to HTTP_PORT
+    TWITCH_EVENTSUB_SECRET: process.env.TWITCH_EVENTSUB_SECRET, // 10-100 characters, used to sign webhook deliveries
+    TWITCH_USER_TOKEN: process.env.TWITCH_USER_TOKEN, // User access token for WebSocket subscriptions
+    TWITCH_EVENTSUB_WS_URL: process.env.TWITCH_EVENTSUB_WS_URL, // Override of wss://eventsub.wss.twitch.tv/ws, e.g. for the Twitch CLI
+    YOUTUBE_WEBSUB_CALLBACK_URL: process.env.YOUTUBE_WEBSUB_CALLBACK_URL, // Public URL routed to HTTP_PORT; enables WebSub
+    YOUTUBE_WEBSUB_SECRET: process.env.YOUTUBE_WEBSUB_SECRET, // Signs hub deliveries
+    YOUTUBE_WEBSUB_HUB_URL: process.env.YOUTUBE_WEBSUB_HUB_URL // Defaults to Google's hub
 };
 
+// Imports validate every row against the platform, and one slow row (Kick
+// trying each request strategy, TikTok timing out) can take most of a minute.
+// Rows left when the time runs out are reported as not checked, so the final
+// reply still lands inside the 15 minutes an interaction can be edited for.
+const MAX_IMPORT_ROWS = 200;
+const MAX_IMPORT_DURATION = 12 * 60 * 1000;
+const MAX_IMPORT_SIZE = 256 * 1024;
+
+// Status checks after a push go-live event; platform APIs can lag the event by a few seconds
+const PUSH_CONFIRM_ATTEMPTS = 3;
+const PUSH_CONFIRM_DELAY = 5000;
+
+// How often tracked accounts' IDs and names are refreshed from the platforms
+const ACCOUNT_REFRESH_INTERVAL = 60 * 60 * 1000;
+
+// Discord drops autocomplete responses after 3 seconds
+const AUTOCOMPLETE_TIMEOUT = 2500;
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+// Subscriber DMs sent at once when a streamer goes live
+const DM_CONCURRENCY = 5;
+
+const WEBHOOK_URL_PATTERN = /^https:\/\/(?:(?:canary|ptb)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+// Messages sent through a webhook are edited at /webhooks/{id}/{token}/messages/{message.id}
+function webhookMessageUrl(webhookUrl, messageId) {
+    const url = new URL(webhookUrl);
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/messages/${messageId}`;
+    return url.toString();
+}
+
+// Discord API message body -> discord.js send/edit options
+function toMessageOptions(payload) {
+    const { allowed_mentions: allowedMentions, ...rest } = payload;
+    return allowedMentions ? { ...rest, allowedMentions } : rest;
+}
+
+// Autocomplete choice names and values are limited to 100 characters
+function truncate(text, length = 100) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// e.g. 2h 15m
+function formatDuration(ms) {
+    const totalMinutes = Math.max(0, Math.round(ms / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+// Tracked users are scoped per guild and keyed by the platform's account ID: guildId:platform:id
+function userKey(guildId, platform, accountId) {
+    return `${guildId}:${platform}:${accountId}`;
+}
+
+// Entries without an ID (platforms that have none, or entries whose ID hasn't
+// been looked up yet) are keyed by their normalized username instead
+function trackedKey(user) {
+    return userKey(user.guildId, user.platform, user.id || user.username);
+}
+
+// Creators are scoped per guild and matched case-insensitively by name
+function creatorKey(guildId, name) {
+    return `${guildId}:${name.trim().toLowerCase()}`;
+}
+
 // Validate required environment variables
-function validateConfig() {
+function validateConfig(config) {
     const required = ['DISCORD_TOKEN', 'DISCORD_CLIENT_ID'];
-    const missing = required.filter(key => !CONFIG[key]);
+    const missing = required.filter(key => !config[key]);
     
     if (missing.length > 0) {
         console.error('Missing required environment variables:', missing);
@@ -33,111 +158,359 @@ function validateConfig() {
     console.log('✓ Required Discord configuration found');
 }
 
+// config defaults to the environment; tests pass their own with local
+// platform URLs and storage paths
 class StreamMonitorBot {
-    constructor() {
+    constructor(config = CONFIG) {
+        this.config = config;
+        this.http = config.HTTP_CLIENT || axios;
         this.client = new Client({
             intents: [GatewayIntentBits.Guilds]
         });
         this.monitoredUsers = new Map();
-        this.liveStatus = new Map();
-        this.twitchToken = null;
-        this.checkInterval = null;
-        this.lastKickRequest = 0;
-        this.kickRequestDelay = 3000; // 3 seconds between Kick requests
-        
-        this.init();
+        this.guildSettings = new Map();
+        this.creators = new Map(); // Accounts of one person on several platforms, keyed by creatorKey
+        this.streamSessions = new Map(); // Users currently live, keyed like monitoredUsers
+        this.endedSessions = new Map(); // Recently ended sessions that can still be resumed
+        this.streamHistory = new Map(); // Finished sessions for /stats
+        this.subscriptions = new Map(); // Members' personal go-live alerts, keyed by subscriptionKey
+        this.savedLiveState = {}; // Collection name -> JSON last written, to skip unchanged saves
+        this.unsavedHistory = new Map(); // History entries written with the next live state save
+        this.historyPruned = false; // The next save rewrites the whole history instead
+        this.storage = null; // Created in init() once the config is validated
+        this.providers = loadProviders(config);
+        this.setupMetrics();
+        this.scheduler = new PollingScheduler({
+            onRun: (platform, lastRun) => this.pollDuration.observe({ platform }, (lastRun.finishedAt - lastRun.startedAt) / 1000)
+        });
+        this.httpServer = null;
+        this.webhooks = new Map(); // HTTP paths registered by push-enabled platforms
+        this.pushPlatforms = new Set(); // Platforms whose startPush succeeded
+        this.accountLocks = new Map(); // platform:accountId -> tail of the update queue
+        this.accountsRefreshedAt = new Map(); // platform -> when account IDs and names were last refreshed
+        this.monitoringStartedAt = null;
+
+        // Each platform polls on its own interval so slow platforms don't hold up fast ones
+        for (const provider of this.providers.values()) {
+            this.scheduler.schedule(provider.id, provider.polling.interval, () => this.checkPlatformStreams(provider.id));
+        }
     }
 
     async init() {
         // Validate configuration first
-        validateConfig();
+        validateConfig(this.config);
         
-        await this.loadMonitoredUsers();
+        await this.loadState();
+        this.startHttpServer();
+        await this.startPush();
         await this.setupCommands();
         this.setupEventHandlers();
-        await this.client.login(CONFIG.DISCORD_TOKEN);
+        await this.client.login(this.config.DISCORD_TOKEN);
+    }
+
+    // Load everything from the configured storage backend. Unreadable data
+    // stops the bot rather than being replaced with an empty list.
+    async loadState() {
+        let data;
+        try {
+            this.storage = createStorage(this.config);
+            data = await this.storage.load();
+        } catch (error) {
+            console.error('❌ Could not load stored data:', error.message);
+            process.exit(1);
+        }
+
+        this.monitoredUsers = data.users;
+        this.guildSettings = data.guilds;
+        this.creators = data.creators;
+        await this.adoptLegacyUsers();
+
+        const tracked = ([key]) => this.monitoredUsers.has(key);
+        this.savedLiveState = {
+            sessions: JSON.stringify(Array.from(data.sessions)),
+            endedSessions: JSON.stringify(Array.from(data.endedSessions))
+        };
+        this.streamSessions = new Map(Array.from(data.sessions).filter(tracked));
+        this.endedSessions = new Map(Array.from(data.endedSessions).filter(tracked));
+        this.streamHistory = data.history;
+        if (pruneHistory(this.streamHistory, this.config.HISTORY_RETENTION) > 0) {
+            await this.saveHistory();
+        }
+        this.subscriptions = data.subscriptions;
+
+        console.log(`Loaded ${this.monitoredUsers.size} monitored users and settings for ${this.guildSettings.size} guilds (${this.config.STORAGE_BACKEND} storage)`);
+        console.log(`Restored ${this.streamSessions.size} live sessions`);
+    }
+
+    // Entries saved before guild scoping are kept under the 'legacy' guild until GUILD_ID names their server
+    async adoptLegacyUsers() {
+        const legacy = Array.from(this.monitoredUsers.entries()).filter(([, user]) => user.guildId === 'legacy');
+        if (legacy.length === 0) {
+            return;
+        }
+
+        if (!this.config.DEFAULT_GUILD_ID) {
+            console.warn(`⚠️  ${legacy.length} monitored users have no guild - set GUILD_ID to assign them to a server`);
+            return;
+        }
+
+        for (const [key, user] of legacy) {
+            this.monitoredUsers.delete(key);
+            const adopted = { ...user, guildId: this.config.DEFAULT_GUILD_ID };
+            this.monitoredUsers.set(trackedKey(adopted), adopted);
+        }
+        await this.saveMonitoredUsers();
+        console.log(`Assigned ${legacy.length} monitored users to guild ${this.config.DEFAULT_GUILD_ID}`);
+    }
+
+    async saveGuildSettings() {
+        try {
+            await this.storage.save('guilds', this.guildSettings);
+        } catch (error) {
+            console.error('Error saving guild settings:', error);
+        }
+    }
+
+    async saveCreators() {
+        try {
+            await this.storage.save('creators', this.creators);
+        } catch (error) {
+            console.error('Error saving creators:', error);
+        }
+    }
+
+    // Runs after every poll cycle, and each save rewrites the whole JSON store,
+    // so collections that haven't changed since the last save are skipped and
+    // the streams that ended during the cycle go into history in one write
+    async saveLiveState() {
+        await this.saveUnsavedHistory();
+        try {
+            await Promise.all([['sessions', this.streamSessions], ['endedSessions', this.endedSessions]].map(async ([name, map]) => {
+                const snapshot = JSON.stringify(Array.from(map));
+                if (snapshot !== this.savedLiveState[name]) {
+                    await this.storage.save(name, map);
+                    this.savedLiveState[name] = snapshot;
+                }
+            }));
+        } catch (error) {
+            console.error('Error saving live state:', error);
+        }
     }
 
-    async loadMonitoredUsers() {
+    async saveSubscriptions() {
         try {
-            const data = await fs.readFile(CONFIG.DATA_FILE, 'utf8');
-            const users = JSON.parse(data);
-            this.monitoredUsers = new Map(users);
-            console.log(`Loaded ${this.monitoredUsers.size} monitored users`);
+            await this.storage.save('subscriptions', this.subscriptions);
         } catch (error) {
-            console.log('No existing data file found, starting fresh');
-            this.monitoredUsers = new Map();
+            console.error('Error saving subscriptions:', error);
         }
     }
 
+    getGuildUsers(guildId) {
+        return Array.from(this.monitoredUsers.entries()).filter(([, user]) => user.guildId === guildId);
+    }
+
     async saveMonitoredUsers() {
         try {
-            const data = Array.from(this.monitoredUsers.entries());
-            await fs.writeFile(CONFIG.DATA_FILE, JSON.stringify(data, null, 2));
+            await this.storage.save('users', this.monitoredUsers);
         } catch (error) {
             console.error('Error saving monitored users:', error);
         }
     }
 
+    setupMetrics() {
+        this.metrics = new MetricsRegistry();
+        this.checkCounter = this.metrics.counter('stream_monitor_checks_total', 'Stream checks by platform and result');
+        this.checkErrors = this.metrics.counter('stream_monitor_check_errors_total', 'Checks that failed or returned no usable answer, by platform');
+        this.pollDuration = this.metrics.histogram(
+            'stream_monitor_poll_duration_seconds',
+            'Time taken by a full poll cycle of one platform',
+            [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+        );
+        this.announcementCounter = this.metrics.counter('stream_monitor_announcements_total', 'Go-live announcements posted, by platform');
+
+        this.metrics.gauge('stream_monitor_tracked_users', 'Tracked streamers across all servers, by platform', () =>
+            Array.from(this.providers.keys()).map(platform => [
+                { platform },
+                Array.from(this.monitoredUsers.values()).filter(user => user.platform === platform).length
+            ]));
+        this.metrics.gauge('stream_monitor_live_streams', 'Tracked streamers currently live', () => [[{}, this.streamSessions.size]]);
+        this.metrics.gauge('stream_monitor_last_successful_poll_timestamp_seconds', 'When each platform last finished a poll cycle', () =>
+            Array.from(this.scheduler.jobs.values())
+                .filter(job => job.lastSuccess)
+                .map(job => [{ platform: job.name }, job.lastSuccess.finishedAt / 1000]));
+        this.metrics.gauge('stream_monitor_gateway_connected', '1 when the Discord gateway connection is ready', () =>
+            [[{}, this.client.ws.status === Status.Ready ? 1 : 0]]);
+    }
+
+    startHttpServer() {
+        if (!this.config.HTTP_PORT) {
+            return;
+        }
+
+        this.httpServer = createHttpServer(this, { apiToken: this.config.HTTP_API_TOKEN });
+        this.httpServer.on('error', error => console.error('HTTP server error:', error.message));
+        this.httpServer.listen(this.config.HTTP_PORT, this.config.HTTP_HOST, () => {
+            const api = this.config.HTTP_API_TOKEN ? ', admin API enabled' : '';
+            console.log(`HTTP server listening on http://${this.config.HTTP_HOST}:${this.config.HTTP_PORT} (/healthz, /metrics${api})`);
+        });
+    }
+
+    // Push notifications for platforms that support them. Polling carries on
+    // alongside, slowed to PUSH_POLL_INTERVAL while push is working.
+    async startPush() {
+        for (const provider of this.providers.values()) {
+            try {
+                const enabled = await provider.startPush({
+                    registerWebhook: (path, handler) => {
+                        if (!this.httpServer) {
+                            throw new Error('webhooks need HTTP_PORT to be set');
+                        }
+                        this.webhooks.set(path, handler);
+                    },
+                    onStreamEvent: (accountId, event) => this.handlePushEvent(provider.id, accountId, event),
+                    onPushStateChange: active => this.setPushActive(provider.id, active)
+                });
+
+                if (enabled) {
+                    this.pushPlatforms.add(provider.id);
+                    this.syncPush(provider.id);
+                }
+            } catch (error) {
+                console.error(`Could not start push notifications for ${provider.name}, polling instead:`, error.message);
+                await provider.stopPush();
+            }
+        }
+    }
+
+    // Bring a platform's push subscriptions in line with the tracked accounts
+    syncPush(platform) {
+        if (!this.pushPlatforms.has(platform)) {
+            return;
+        }
+
+        const provider = this.providers.get(platform);
+        const accounts = new Map();
+        for (const user of this.monitoredUsers.values()) {
+            if (user.platform === platform) {
+                accounts.set(provider.accountId(user), user);
+            }
+        }
+
+        provider.syncPush(Array.from(accounts.values()))
+            .catch(error => console.error(`Error syncing ${this.getPlatformName(platform)} push subscriptions:`, error.message));
+    }
+
+    setPushActive(platform, active) {
+        const provider = this.providers.get(platform);
+        const interval = active
+            ? Math.max(provider.polling.pushInterval, provider.polling.interval)
+            : provider.polling.interval;
+
+        this.scheduler.setJobInterval(platform, interval);
+        console.log(`${provider.name} is now polled every ${interval / 60000} minutes`);
+    }
+
+    // A push notification for one account. Go-live events are confirmed with a
+    // status check so the announcement has the title and viewers, unless the
+    // provider already checked; offline events end the session without
+    // waiting for OFFLINE_CHECKS.
+    async handlePushEvent(platform, accountId, event) {
+        const [entry] = this.getAccountEntries(platform, accountId);
+        if (!entry) {
+            return;
+        }
+
+        const streamInfo = event.status !== 'online'
+            ? { status: 'offline', confirmed: true }
+            : event.verified ? event.info : await this.confirmLive(platform, entry[1], event.info);
+
+        await this.withAccountLock(platform, accountId, () => {
+            // An offline event for one stream leaves sessions of a different stream alone
+            const entries = this.getAccountEntries(platform, accountId).filter(([key]) =>
+                !event.streamId || this.streamSessions.get(key)?.streamId === event.streamId);
+            return this.applyStreamStatus(entries, streamInfo);
+        });
+        await this.saveLiveState();
+    }
+
+    // Every guild's entry for one account
+    getAccountEntries(platform, accountId) {
+        const provider = this.providers.get(platform);
+        return Array.from(this.monitoredUsers).filter(([, user]) =>
+            user.platform === platform && provider.accountId(user) === accountId);
+    }
+
+    async confirmLive(platform, user, fallback) {
+        const provider = this.providers.get(platform);
+
+        for (let attempt = 0; attempt < PUSH_CONFIRM_ATTEMPTS; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, PUSH_CONFIRM_DELAY));
+            }
+
+            await provider.rateLimiter.wait();
+            const [streamInfo] = await this.checkStreamStatuses(platform, [user]);
+            if (streamInfo.status === 'live') {
+                return streamInfo;
+            }
+        }
+        return fallback;
+    }
+
+    // Polling and push events can report the same account at the same time;
+    // run their updates one after the other so a stream is only announced once
+    async withAccountLock(platform, accountId, task) {
+        const lockKey = `${platform}:${accountId}`;
+        const current = (this.accountLocks.get(lockKey) || Promise.resolve())
+            .catch(() => {})
+            .then(task);
+        this.accountLocks.set(lockKey, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.accountLocks.get(lockKey) === current) {
+                this.accountLocks.delete(lockKey);
+            }
+        }
+    }
+
+    // Healthy when the gateway is connected and no platform has gone three of
+    // its intervals without a successful poll cycle
+    getHealth() {
+        const now = Date.now();
+        const gatewayConnected = this.client.ws.status === Status.Ready;
+        const platforms = {};
+
+        for (const job of this.scheduler.jobs.values()) {
+            const since = job.lastSuccess?.finishedAt ?? this.monitoringStartedAt ?? now;
+            platforms[job.name] = {
+                intervalSeconds: job.interval / 1000,
+                lastSuccessfulPoll: job.lastSuccess ? new Date(job.lastSuccess.finishedAt).toISOString() : null,
+                lastPollOk: job.lastRun ? job.lastRun.ok : null,
+                stale: now - since > job.interval * 3
+            };
+        }
+
+        const healthy = gatewayConnected && Object.values(platforms).every(platform => !platform.stale);
+        return {
+            status: healthy ? 'ok' : 'degraded',
+            gateway: { connected: gatewayConnected, ping: gatewayConnected ? this.client.ws.ping : null },
+            platforms
+        };
+    }
+
     async setupCommands() {
-        const commands = [
-            new SlashCommandBuilder()
-                .setName('track')
-                .setDescription('Add a user to the monitoring list')
-                .addStringOption(option =>
-                    option.setName('platform')
-                        .setDescription('Platform to monitor')
-                        .setRequired(true)
-                        .addChoices(
-                            { name: 'YouTube', value: 'youtube' },
-                            { name: 'Twitch', value: 'twitch' },
-                            { name: 'TikTok', value: 'tiktok' },
-                            { name: 'Kick', value: 'kick' }
-                        ))
-                .addStringOption(option =>
-                    option.setName('username')
-                        .setDescription('Username to monitor')
-                        .setRequired(true))
-                .addStringOption(option =>
-                    option.setName('display_name')
-                        .setDescription('Display name for notifications')
-                        .setRequired(false)),
-
-            new SlashCommandBuilder()
-                .setName('remove')
-                .setDescription('Remove a user from the monitoring list')
-                .addStringOption(option =>
-                    option.setName('platform')
-                        .setDescription('Platform')
-                        .setRequired(true)
-                        .addChoices(
-                            { name: 'YouTube', value: 'youtube' },
-                            { name: 'Twitch', value: 'twitch' },
-                            { name: 'TikTok', value: 'tiktok' },
-                            { name: 'Kick', value: 'kick' }
-                        ))
-                .addStringOption(option =>
-                    option.setName('username')
-                        .setDescription('Username to remove')
-                        .setRequired(true)),
-
-            new SlashCommandBuilder()
-                .setName('list')
-                .setDescription('List all monitored users'),
-
-            new SlashCommandBuilder()
-                .setName('ping')
-                .setDescription('Test if the bot is responding')
-        ];
-
-        const rest = new REST({ version: '10' }).setToken(CONFIG.DISCORD_TOKEN);
+        const commands = buildCommands(getPlatformChoices(this.providers));
+
+        const rest = new REST({ version: '10' }).setToken(this.config.DISCORD_TOKEN);
 
         try {
             console.log('Refreshing slash commands...');
-            console.log(`Registering commands for client ID: ${CONFIG.DISCORD_CLIENT_ID}`);
+            console.log(`Registering commands for client ID: ${this.config.DISCORD_CLIENT_ID}`);
             
             const data = await rest.put(
-                Routes.applicationCommands(CONFIG.DISCORD_CLIENT_ID),
+                Routes.applicationCommands(this.config.DISCORD_CLIENT_ID),
                 { body: commands.map(command => command.toJSON()) }
             );
             
@@ -160,10 +533,31 @@ class StreamMonitorBot {
         });
 
         this.client.on('interactionCreate', async (interaction) => {
+            if (interaction.isButton()) {
+                await this.handleButton(interaction);
+                return;
+            }
+            if (interaction.isAutocomplete()) {
+                await this.handleAutocomplete(interaction);
+                return;
+            }
             if (!interaction.isChatInputCommand()) return;
 
             const { commandName } = interaction;
 
+            if (!interaction.inGuild() && !['ping', 'status'].includes(commandName)) {
+                await interaction.reply({ content: 'This command can only be used in a server.', ephemeral: true });
+                return;
+            }
+
+            if (MANAGER_COMMANDS.includes(commandName) && !this.canManage(interaction)) {
+                await interaction.reply({ 
+                    content: '❌ You need the Manage Server permission or this server\'s manager role to use this command.', 
+                    ephemeral: true 
+                });
+                return;
+            }
+
             try {
                 switch (commandName) {
                     case 'track':
@@ -175,675 +569,1846 @@ class StreamMonitorBot {
                     case 'list':
                         await this.handleListCommand(interaction);
                         break;
+                    case 'stats':
+                        await this.handleStatsCommand(interaction);
+                        break;
+                    case 'export':
+                        await this.handleExportCommand(interaction);
+                        break;
+                    case 'import':
+                        await this.handleImportCommand(interaction);
+                        break;
+                    case 'creator':
+                        await this.handleCreatorCommand(interaction);
+                        break;
+                    case 'notify-channel':
+                        await this.handleNotifyChannelCommand(interaction);
+                        break;
+                    case 'template':
+                        await this.handleTemplateCommand(interaction);
+                        break;
+                    case 'manager-role':
+                        await this.handleManagerRoleCommand(interaction);
+                        break;
+                    case 'subscribe':
+                        await this.handleSubscribeCommand(interaction);
+                        break;
+                    case 'unsubscribe':
+                        await this.handleUnsubscribeCommand(interaction);
+                        break;
+                    case 'subscriptions':
+                        await this.handleSubscriptionsCommand(interaction);
+                        break;
+                    case 'status':
+                        await this.handleStatusCommand(interaction);
+                        break;
                     case 'ping':
                         await this.handlePingCommand(interaction);
                         break;
                 }
             } catch (error) {
                 console.error('Error handling command:', error);
-                await interaction.reply({ content: 'An error occurred while processing your command.', ephemeral: true });
+                await this.replyWithError(interaction, 'An error occurred while processing your command.');
             }
         });
     }
 
+    // Tell the member something went wrong in whatever way the interaction still
+    // allows. Never throws: this runs from the event listener, and the token
+    // may already have expired.
+    async replyWithError(interaction, content) {
+        try {
+            if (interaction.replied) {
+                await interaction.followUp({ content, ephemeral: true });
+            } else if (interaction.deferred) {
+                await interaction.editReply({ content });
+            } else {
+                await interaction.reply({ content, ephemeral: true });
+            }
+        } catch (error) {
+            console.error('Error reporting a failed interaction:', error.message);
+        }
+    }
+
+    // Manage Server always works; the manager role works for everything except
+    // /manager-role itself, so role holders can't hand out access
+    canManage(interaction) {
+        if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            return true;
+        }
+        if (interaction.commandName === 'manager-role') {
+            return false;
+        }
+
+        const roleId = this.guildSettings.get(interaction.guildId)?.managerRoleId;
+        if (!roleId) {
+            return false;
+        }
+
+        // Cached members have a role manager, uncached ones a plain array of IDs
+        const roles = interaction.member?.roles;
+        return Boolean(roles?.cache ? roles.cache.has(roleId) : roles?.includes(roleId));
+    }
+
     async handleTrackCommand(interaction) {
         const platform = interaction.options.getString('platform');
         const username = interaction.options.getString('username');
-        const displayName = interaction.options.getString('display_name') || username;
+        const displayName = interaction.options.getString('display_name');
 
-        const key = `${platform}:${username}`;
-        
-        if (this.monitoredUsers.has(key)) {
-            await interaction.reply({ content: `${username} on ${platform} is already being monitored!`, ephemeral: true });
+        const result = await this.trackUser(interaction.guildId, platform, username, displayName);
+
+        if (result.status === 'duplicate') {
+            await interaction.reply({ content: `${result.user.displayName} on ${this.getPlatformName(platform)} is already being monitored!`, ephemeral: true });
             return;
         }
 
-        // Validate input based on platform
-        const validationResult = await this.validateUser(platform, username);
-        if (!validationResult.valid) {
+        if (result.status === 'invalid') {
             await interaction.reply({ 
-                content: `❌ ${validationResult.message}`, 
+                content: `❌ ${result.message}`, 
                 ephemeral: true 
             });
             return;
         }
 
-        this.monitoredUsers.set(key, {
-            platform,
-            username,
-            displayName,
-            addedAt: new Date().toISOString(),
-            resolvedId: validationResult.resolvedId // Store resolved channel ID for YouTube
-        });
+        if (result.status === 'updated') {
+            await interaction.reply({ content: `✅ ${result.user.displayName} on ${this.getPlatformName(platform)} was already tracked as ${result.previousUsername} and is now checked as ${result.user.username}.`, ephemeral: true });
+            return;
+        }
+
+        let note = result.note;
+        if (!this.guildSettings.get(interaction.guildId)?.channelId && !this.getFallbackWebhook(interaction.guildId)) {
+            note += '\n⚠️ No notification channel set - use `/notify-channel set` to choose one.';
+        }
 
-        await this.saveMonitoredUsers();
         await interaction.reply({ 
-            content: `✅ Now monitoring **${displayName}** on ${platform}!\n${validationResult.note || ''}`, 
+            content: `✅ Now monitoring **${result.user.displayName}** on ${this.getPlatformName(platform)}!\n${note}`, 
             ephemeral: true 
         });
     }
 
-    async validateUser(platform, username) {
-        switch (platform) {
-            case 'youtube':
-                return await this.validateYouTubeUser(username);
-            case 'twitch':
-                return await this.validateTwitchUser(username);
-            case 'tiktok':
-                return { valid: true, message: 'TikTok user added (limited functionality)' };
-            case 'kick':
-                return await this.validateKickUser(username);
-            default:
-                return { valid: false, message: 'Unsupported platform' };
-        }
-    }
-
-    async validateYouTubeUser(username) {
-        if (!CONFIG.YOUTUBE_API_KEY) {
-            return { 
-                valid: false, 
-                message: 'YouTube API key not configured' 
-            };
+    // Validate and add a streamer to a guild's list. Shared by /track, /import and the admin API.
+    // input can be a username, @handle or profile link; displayName defaults to the platform's name.
+    // Returns { status: 'added', key, user, note }, { status: 'updated', key, user, previousUsername }
+    // when a tracked account was found under a new username, { status: 'duplicate', user }
+    // or { status: 'invalid', message }.
+    async trackUser(guildId, platform, input, displayName = null) {
+        const provider = this.providers.get(platform);
+        if (!provider) {
+            return { status: 'invalid', message: 'Unsupported platform' };
         }
 
-        try {
-            let channelId = username;
-            let note = '';
-
-            // Try to resolve channel if it's not already an ID
-            if (!username.startsWith('UC')) {
-                channelId = await this.resolveYouTubeChannel(username);
-                if (!channelId) {
-                    return { 
-                        valid: false, 
-                        message: `Could not find YouTube channel: ${username}. Try using the channel ID instead.` 
-                    };
-                }
-                note = `Resolved to channel ID: ${channelId}`;
-            }
+        const username = provider.normalize(input);
+        if (!username) {
+            return { status: 'invalid', message: `"${input}" is not a ${provider.name} username or profile link` };
+        }
 
-            return { 
-                valid: true, 
-                resolvedId: channelId,
-                note: note
-            };
-        } catch (error) {
-            return { 
-                valid: false, 
-                message: `Error validating YouTube channel: ${error.message}` 
-            };
+        const existing = this.findGuildUser(guildId, platform, username);
+        if (existing) {
+            return { status: 'duplicate', user: existing[1] };
         }
-    }
 
-    async validateTwitchUser(username) {
-        if (!CONFIG.TWITCH_CLIENT_ID || !CONFIG.TWITCH_CLIENT_SECRET) {
-            return { 
-                valid: false, 
-                message: 'Twitch API credentials not configured' 
-            };
+        // Validate input based on platform
+        const validationResult = await this.validateUser(platform, username);
+        if (!validationResult.valid) {
+            return { status: 'invalid', message: validationResult.message };
         }
 
-        try {
-            if (!this.twitchToken) {
-                await this.getTwitchToken();
+        const platformName = validationResult.displayName || validationResult.username || username;
+        const user = {
+            guildId,
+            platform,
+            id: validationResult.id || validationResult.username || username,
+            username: validationResult.username || username,
+            displayName: displayName || platformName,
+            // Names given on /track are kept when the streamer renames
+            customName: Boolean(displayName) && displayName !== platformName,
+            addedAt: new Date().toISOString()
+        };
+        const key = trackedKey(user);
+
+        // The same account under another name, or another /track or import
+        // adding it while we were validating
+        const existingUser = this.monitoredUsers.get(key);
+        if (existingUser && existingUser.username !== user.username) {
+            // Renamed since it was tracked. Kick is checked by username and can't
+            // look up renames itself, so this is how its entries catch up.
+            const previousUsername = existingUser.username;
+            existingUser.username = user.username;
+            if (!existingUser.customName) {
+                existingUser.displayName = platformName;
             }
+            await this.saveMonitoredUsers();
+            this.syncPush(platform);
+            return { status: 'updated', key, user: existingUser, previousUsername };
+        }
+        if (existingUser) {
+            return { status: 'duplicate', user: existingUser };
+        }
 
-            const response = await axios.get(`https://api.twitch.tv/helix/users`, {
-                params: {
-                    login: username
-                },
-                headers: {
-                    'Client-ID': CONFIG.TWITCH_CLIENT_ID,
-                    'Authorization': `Bearer ${this.twitchToken}`
-                }
-            });
-
-            if (response.data.data.length === 0) {
-                return { 
-                    valid: false, 
-                    message: `Twitch user "${username}" not found` 
-                };
-            }
+        this.monitoredUsers.set(key, user);
+        await this.saveMonitoredUsers();
+        this.syncPush(platform);
 
-            return { valid: true };
-        } catch (error) {
-            return { 
-                valid: false, 
-                message: `Error validating Twitch user: ${error.message}` 
-            };
-        }
+        return { status: 'added', key, user, note: validationResult.note || '' };
     }
 
-    async validateKickUser(username) {
-        const { exec } = require('child_process');
-        const { promisify } = require('util');
-        const execAsync = promisify(exec);
+    // The [key, user] entry a typed name refers to: a username, @handle,
+    // profile link or account ID, in any case. Undefined when not tracked.
+    findGuildUser(guildId, platform, input) {
+        const provider = this.providers.get(platform);
+        if (!provider || !input) {
+            return undefined;
+        }
 
-        try {
-            console.log(`Validating Kick user with curl: ${username}`);
-            
-            // Use curl to bypass Node.js TLS fingerprinting for validation
-            const curlCommand = `curl -s -H "User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" -H "Accept: application/json" --max-time 10 "https://kick.com/api/v2/channels/${username}"`;
-            
-            const { stdout, stderr } = await execAsync(curlCommand);
-            
-            if (stderr && stderr.trim()) {
-                console.error(`Validation curl stderr for ${username}:`, stderr.trim());
-            }
-            
-            if (!stdout || stdout.trim() === '') {
-                return { 
-                    valid: false, 
-                    message: `No response from Kick API for "${username}"` 
-                };
-            }
+        const wanted = provider.normalize(input).replace(/^@/, '').toLowerCase();
+        return this.getGuildUsers(guildId).find(([, user]) => user.platform === platform &&
+            [user.id, user.username].some(name => name && name.replace(/^@/, '').toLowerCase() === wanted));
+    }
 
-            // Parse the JSON response
-            let channelData;
-            try {
-                channelData = JSON.parse(stdout);
-            } catch (parseError) {
-                // If we can't parse JSON, try v1 API
-                try {
-                    const curlCommandV1 = `curl -s -H "User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" -H "Accept: application/json" --max-time 10 "https://kick.com/api/v1/channels/${username}"`;
-                    const { stdout: stdoutV1 } = await execAsync(curlCommandV1);
-                    
-                    if (stdoutV1 && stdoutV1.trim()) {
-                        channelData = JSON.parse(stdoutV1);
-                    } else {
-                        throw new Error('No valid response from either API version');
-                    }
-                } catch (v1Error) {
-                    return { 
-                        valid: false, 
-                        message: `Failed to parse Kick API response for "${username}": ${parseError.message}` 
-                    };
-                }
-            }
+    async validateUser(platform, username) {
+        const provider = this.providers.get(platform);
+        if (!provider) {
+            return { valid: false, message: 'Unsupported platform' };
+        }
 
-            // Check if we got an error response (like 404)
-            if (channelData.error) {
-                if (channelData.error.includes('not found') || channelData.error.includes('404')) {
-                    return { 
-                        valid: false, 
-                        message: `Kick channel "${username}" not found` 
-                    };
-                } else {
-                    return { 
-                        valid: false, 
-                        message: `Kick API error for "${username}": ${channelData.error}` 
-                    };
-                }
-            }
+        await provider.rateLimiter.wait();
+        return await provider.validate(username);
+    }
 
-            // Check if we got valid channel data
-            if (channelData.id && channelData.slug) {
-                return { 
-                    valid: true, 
-                    message: `Kick channel "${username}" found (ID: ${channelData.id})` 
-                };
-            } else {
-                return { 
-                    valid: false, 
-                    message: `Invalid channel data received for "${username}"` 
-                };
-            }
+    // Stop tracking a streamer in a guild. Returns the removed user, or null when it wasn't tracked.
+    async untrackUser(guildId, platform, username) {
+        const [key, user] = this.findGuildUser(guildId, platform, username) || [];
+        if (!key) {
+            return null;
+        }
 
-        } catch (error) {
-            return { 
-                valid: false, 
-                message: `Error validating Kick channel "${username}": ${error.message}` 
-            };
+        this.monitoredUsers.delete(key);
+        this.streamSessions.delete(key);
+        this.endedSessions.delete(key);
+        await this.saveMonitoredUsers();
+        await this.saveLiveState();
+        if (this.replaceSubscribedKey(key, null)) {
+            await this.saveSubscriptions();
         }
+        this.syncPush(platform);
+        return user;
     }
 
     async handleRemoveCommand(interaction) {
         const platform = interaction.options.getString('platform');
         const username = interaction.options.getString('username');
-        const key = `${platform}:${username}`;
 
-        if (!this.monitoredUsers.has(key)) {
+        const user = await this.untrackUser(interaction.guildId, platform, username);
+        if (!user) {
             await interaction.reply({ content: `${username} on ${platform} is not being monitored.`, ephemeral: true });
             return;
         }
 
-        this.monitoredUsers.delete(key);
-        this.liveStatus.delete(key);
-        await this.saveMonitoredUsers();
-        await interaction.reply({ content: `Removed ${username} from ${platform} monitoring.`, ephemeral: true });
+        await interaction.reply({ content: `Removed ${user.displayName} from ${this.getPlatformName(platform)} monitoring.`, ephemeral: true });
     }
 
     async handleListCommand(interaction) {
-        if (this.monitoredUsers.size === 0) {
+        if (this.getGuildUsers(interaction.guildId).length === 0) {
             await interaction.reply({ content: 'No users are currently being monitored.', ephemeral: true });
             return;
         }
 
-        const embed = new EmbedBuilder()
-            .setTitle('📺 Monitored Users')
-            .setColor(0x00AE86)
-            .setTimestamp();
+        const view = this.buildListView(interaction.guildId, {
+            page: 0,
+            platform: interaction.options.getString('platform'),
+            liveOnly: interaction.options.getBoolean('live_only') || false,
+            sort: interaction.options.getString('sort') || 'name'
+        });
+        await interaction.reply({ ...view, ephemeral: true });
+    }
 
-        const platforms = {};
-        for (const [key, user] of this.monitoredUsers) {
-            if (!platforms[user.platform]) {
-                platforms[user.platform] = [];
+    async handleAutocomplete(interaction) {
+        let choices = [];
+        try {
+            // Suggestions can reveal the tracked list and spend API quota, so
+            // they follow the same rules as running the command
+            if (interaction.inGuild() && (!MANAGER_COMMANDS.includes(interaction.commandName) || this.canManage(interaction))) {
+                const focused = interaction.options.getFocused(true);
+                choices = await this.getAutocompleteChoices(interaction, focused);
             }
-            const status = this.liveStatus.get(key) ? '🔴 LIVE' : '⚫ Offline';
-            platforms[user.platform].push(`${status} ${user.displayName} (${user.username})`);
+        } catch (error) {
+            console.error(`Error building suggestions for /${interaction.commandName}:`, error.response?.data?.message || error.message);
         }
 
-        for (const [platform, users] of Object.entries(platforms)) {
-            embed.addFields({
-                name: `${platform.charAt(0).toUpperCase() + platform.slice(1)}`,
-                value: users.join('\n') || 'None',
-                inline: true
-            });
+        try {
+            await interaction.respond(choices.slice(0, MAX_AUTOCOMPLETE_CHOICES).map(choice => ({
+                name: truncate(choice.name),
+                value: truncate(choice.value)
+            })));
+        } catch (error) {
+            // The user kept typing and Discord already moved on
+            if (error.code !== 10062) {
+                console.error('Error sending suggestions:', error.message);
+            }
         }
-
-        await interaction.reply({ embeds: [embed], ephemeral: true });
     }
 
-    async handlePingCommand(interaction) {
-        const embed = new EmbedBuilder()
-            .setTitle('🏓 Pong!')
-            .setDescription('Bot is online and responding to commands')
-            .setColor(0x00FF00)
+    async getAutocompleteChoices(interaction, focused) {
+        if (focused.name !== 'username') {
+            return [];
+        }
+
+        const platform = interaction.options.getString('platform');
+        const query = focused.value.trim().toLowerCase();
+
+        // Tracked entries in this server, optionally narrowed to the chosen platform
+        if (['remove', 'subscribe'].includes(interaction.commandName)) {
+            return this.getGuildUsers(interaction.guildId)
+                .map(([, user]) => user)
+                .filter(user => !platform || user.platform === platform)
+                .filter(user => !query || user.username.toLowerCase().includes(query) || user.displayName.toLowerCase().includes(query))
+                .sort((a, b) => a.displayName.localeCompare(b.displayName, undefined, { sensitivity: 'base' }))
+                .map(user => ({
+                    name: `${user.displayName} (${this.getPlatformName(user.platform)}: ${user.username})`,
+                    value: user.username
+                }));
+        }
+
+        // Streamers the member is subscribed to
+        if (interaction.commandName === 'unsubscribe') {
+            return this.getSubscribedUsers(interaction.guildId, interaction.user.id)
+                .map(([, user]) => user)
+                .filter(user => !platform || user.platform === platform)
+                .filter(user => !query || user.username.toLowerCase().includes(query) || user.displayName.toLowerCase().includes(query))
+                .map(user => ({
+                    name: `${user.displayName} (${this.getPlatformName(user.platform)}: ${user.username})`,
+                    value: user.username
+                }));
+        }
+
+        // Real accounts from the platform's search, once a platform is chosen
+        if (interaction.commandName === 'track') {
+            const provider = this.providers.get(platform);
+            if (!provider || !query) {
+                return [];
+            }
+
+            let timer;
+            const timeout = new Promise(resolve => { timer = setTimeout(() => resolve([]), AUTOCOMPLETE_TIMEOUT); });
+            const results = await Promise.race([provider.search(focused.value.trim()), timeout]).finally(() => clearTimeout(timer));
+            return results.map(result => ({ name: result.label, value: result.username }));
+        }
+
+        return [];
+    }
+
+    async handleButton(interaction) {
+        const listState = parseListState(interaction.customId);
+        const isNotify = /^notify(-creator)?:/.test(interaction.customId);
+        if ((!listState && !isNotify) || !interaction.inGuild()) {
+            return;
+        }
+
+        try {
+            if (isNotify) {
+                await this.handleNotifyButton(interaction);
+            } else {
+                await interaction.update(this.buildListView(interaction.guildId, listState));
+            }
+        } catch (error) {
+            console.error('Error handling button:', error);
+            await this.replyWithError(interaction, 'An error occurred while processing your request.');
+        }
+    }
+
+    // One page of /list as message options: the embed plus navigation buttons
+    buildListView(guildId, state) {
+        const entries = this.getGuildUsers(guildId)
+            .map(([key, user]) => ({ key, user, session: this.streamSessions.get(key) }));
+        const { page, pageCount, items } = paginate(selectListEntries(entries, state), state.page);
+        const now = Date.now();
+
+        const lines = items.map(({ user, session }) => {
+            const status = session ? `🔴 live for ${formatDuration(now - new Date(session.startedAt))}` : '⚫ Offline';
+            const platform = state.platform ? '' : `${this.getPlatformName(user.platform)} · `;
+            return `[${user.displayName}](${this.generateLiveUrl(user)}) (${user.username})\n${platform}${status}`;
+        });
+
+        const filters = [
+            state.platform && this.getPlatformName(state.platform),
+            state.liveOnly && 'live now',
+            `sorted by ${LIST_SORTS[state.sort].toLowerCase()}`
+        ].filter(Boolean);
+
+        const liveCount = entries.filter(entry => entry.session).length;
+        const embed = new EmbedBuilder()
+            .setTitle('📺 Monitored Users')
+            .setColor(0x00AE86)
+            .setDescription(lines.join('\n\n') || (state.liveOnly ? 'Nobody matching is live right now.' : 'No streamers match these filters.'))
+            .setFooter({ text: `Page ${page + 1}/${pageCount} · ${filters.join(' · ')} · ${liveCount}/${entries.length} live` })
+            .setTimestamp();
+
+        // Custom IDs must be unique within a message, so each button names itself
+        // after the state it leads to
+        const button = (name, target, label, disabled) => new ButtonBuilder()
+            .setCustomId(`${encodeListState({ ...state, page: target })}:${name}`)
+            .setLabel(label)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(disabled);
+
+        const row = new ActionRowBuilder().addComponents(
+            button('first', 0, '⏮', page === 0),
+            button('previous', Math.max(0, page - 1), '◀ Previous', page === 0),
+            button('next', Math.min(pageCount - 1, page + 1), 'Next ▶', page >= pageCount - 1),
+            button('last', pageCount - 1, '⏭', page >= pageCount - 1),
+            button('refresh', page, '🔄', false)
+        );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    // The member's subscription in a guild; a new one with the defaults when they have none
+    getSubscription(guildId, userId) {
+        return this.subscriptions.get(subscriptionKey(guildId, userId)) ||
+            { guildId, userId, streamers: [], delivery: 'dm', quietHours: null };
+    }
+
+    // [key, user] for each tracked streamer the member is subscribed to, by name
+    getSubscribedUsers(guildId, userId) {
+        return this.getSubscription(guildId, userId).streamers
+            .filter(key => this.monitoredUsers.has(key))
+            .map(key => [key, this.monitoredUsers.get(key)])
+            .sort(([, a], [, b]) => a.displayName.localeCompare(b.displayName, undefined, { sensitivity: 'base' }));
+    }
+
+    // Store a changed subscription. Members without any streamers or settings
+    // left are dropped from storage.
+    async storeSubscription(subscription) {
+        const key = subscriptionKey(subscription.guildId, subscription.userId);
+        if (isEmptySubscription(subscription)) {
+            this.subscriptions.delete(key);
+        } else {
+            this.subscriptions.set(key, subscription);
+        }
+        await this.saveSubscriptions();
+    }
+
+    async updateSubscription(guildId, userId, { add = [], remove = [] }) {
+        const subscription = this.getSubscription(guildId, userId);
+        subscription.streamers = [...subscription.streamers.filter(key => !remove.includes(key) && !add.includes(key)), ...add];
+        await this.storeSubscription(subscription);
+    }
+
+    async handleSubscribeCommand(interaction) {
+        const platform = interaction.options.getString('platform');
+        const username = interaction.options.getString('username');
+
+        const [key, user] = this.findGuildUser(interaction.guildId, platform, username) || [];
+        if (!key) {
+            await interaction.reply({ content: `${username} on ${this.getPlatformName(platform)} is not tracked in this server. Ask a manager to \`/track\` them first.`, ephemeral: true });
+            return;
+        }
+
+        if (this.getSubscription(interaction.guildId, interaction.user.id).streamers.includes(key)) {
+            await interaction.reply({ content: `You are already subscribed to ${user.displayName} on ${this.getPlatformName(platform)}.`, ephemeral: true });
+            return;
+        }
+
+        await this.updateSubscription(interaction.guildId, interaction.user.id, { add: [key] });
+        await interaction.reply({ content: `🔔 You'll be alerted when **${user.displayName}** goes live on ${this.getPlatformName(platform)}.\n${this.describeDelivery(interaction.guildId, interaction.user.id)}`, ephemeral: true });
+    }
+
+    async handleUnsubscribeCommand(interaction) {
+        const platform = interaction.options.getString('platform');
+        const username = interaction.options.getString('username');
+
+        const [key, user] = this.findGuildUser(interaction.guildId, platform, username) || [];
+        if (!key || !this.getSubscription(interaction.guildId, interaction.user.id).streamers.includes(key)) {
+            await interaction.reply({ content: `You are not subscribed to ${username} on ${this.getPlatformName(platform)}.`, ephemeral: true });
+            return;
+        }
+
+        await this.updateSubscription(interaction.guildId, interaction.user.id, { remove: [key] });
+        await interaction.reply({ content: `🔕 You won't be alerted about ${user.displayName} on ${this.getPlatformName(platform)} anymore.`, ephemeral: true });
+    }
+
+    async handleSubscriptionsCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const { guildId } = interaction;
+        const userId = interaction.user.id;
+
+        if (subcommand === 'list') {
+            const subscribed = this.getSubscribedUsers(guildId, userId);
+            if (subscribed.length === 0) {
+                await interaction.reply({ content: 'You are not subscribed to anyone in this server. Use `/subscribe` or the 🔔 Notify me button on a go-live message.', ephemeral: true });
+                return;
+            }
+
+            const lines = subscribed.map(([key, user]) => {
+                const status = this.streamSessions.has(key) ? '🔴 live' : '⚫ offline';
+                return `[${user.displayName}](${this.generateLiveUrl(user)}) · ${this.getPlatformName(user.platform)} · ${status}`;
+            });
+            const embed = new EmbedBuilder()
+                .setTitle('🔔 Your Subscriptions')
+                .setColor(0x00AE86)
+                // Embed descriptions are limited to 4096 characters
+                .setDescription(truncate(lines.join('\n'), 4096))
+                .addFields({ name: 'Alerts', value: this.describeDelivery(guildId, userId), inline: false })
+                .setFooter({ text: `${subscribed.length} streamer${subscribed.length === 1 ? '' : 's'}` });
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        const subscription = this.getSubscription(guildId, userId);
+
+        if (subcommand === 'delivery') {
+            subscription.delivery = interaction.options.getString('method');
+        } else if (subcommand === 'quiet-hours') {
+            const timeZone = interaction.options.getString('timezone')?.trim() || 'UTC';
+            if (!isValidTimeZone(timeZone)) {
+                await interaction.reply({ content: `❌ Unknown time zone "${timeZone}". Use a name like Europe/Berlin or America/New_York.`, ephemeral: true });
+                return;
+            }
+
+            const start = interaction.options.getInteger('start');
+            const end = interaction.options.getInteger('end');
+            if (start === end) {
+                await interaction.reply({ content: '❌ Quiet hours need different start and end hours.', ephemeral: true });
+                return;
+            }
+            subscription.quietHours = { start, end, timeZone };
+        } else if (subcommand === 'quiet-hours-off') {
+            subscription.quietHours = null;
+        }
+
+        await this.storeSubscription(subscription);
+        await interaction.reply({ content: `✅ ${this.describeDelivery(guildId, userId)}`, ephemeral: true });
+    }
+
+    describeDelivery(guildId, userId) {
+        const { delivery, quietHours } = this.getSubscription(guildId, userId);
+        const method = delivery === 'mention'
+            ? 'Alerts mention you in this server\'s notification channel'
+            : 'Alerts are sent to you by direct message';
+        const quiet = quietHours ? `, except during quiet hours (${formatQuietHours(quietHours)})` : '';
+        return `${method}${quiet}. Change this with \`/subscriptions\`.`;
+    }
+
+    // 🔔 Notify me on a go-live message toggles the member's subscription to
+    // that streamer, or to every account of a creator
+    async handleNotifyButton(interaction) {
+        const { guildId } = interaction;
+        const userId = interaction.user.id;
+        let keys;
+        let name;
+
+        if (interaction.customId.startsWith('notify-creator:')) {
+            const creatorId = interaction.customId.slice('notify-creator:'.length);
+            const creator = this.creators.get(creatorKey(guildId, creatorId));
+            keys = this.getGuildUsers(guildId).filter(([, user]) => creator && user.creatorId === creator.id).map(([key]) => key);
+            name = creator?.name;
+        } else {
+            // Buttons posted before an account ID was known carry the username
+            const [, platform, accountId] = interaction.customId.split(':');
+            const [key, user] = this.findGuildUser(guildId, platform, accountId) || [];
+            keys = key ? [key] : [];
+            name = user?.displayName;
+        }
+
+        if (keys.length === 0) {
+            await interaction.reply({ content: 'This streamer is no longer tracked in this server.', ephemeral: true });
+            return;
+        }
+
+        const subscribed = this.getSubscription(guildId, userId).streamers;
+        if (keys.every(key => subscribed.includes(key))) {
+            await this.updateSubscription(guildId, userId, { remove: keys });
+            await interaction.reply({ content: `🔕 You won't be alerted about ${name} anymore.`, ephemeral: true });
+            return;
+        }
+
+        await this.updateSubscription(guildId, userId, { add: keys });
+        await interaction.reply({ content: `🔔 You'll be alerted when **${name}** goes live. Press the button again to stop.\n${this.describeDelivery(guildId, userId)}`, ephemeral: true });
+    }
+
+    async handleNotifyChannelCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'show') {
+            const settings = this.guildSettings.get(interaction.guildId);
+            const ended = settings?.endedAction === 'delete'
+                ? 'Go-live messages are deleted when the stream ends.'
+                : 'Go-live messages are edited into a summary when the stream ends.';
+
+            if (!settings?.channelId) {
+                const fallback = this.getFallbackWebhook(interaction.guildId) ? ' Notifications are going to the default webhook.' : '';
+                await interaction.reply({ content: `No notification channel is set.${fallback}\n${ended}`, ephemeral: true });
+                return;
+            }
+
+            const via = settings.webhookUrl ? 'a webhook' : 'the bot';
+            await interaction.reply({ content: `Notifications are posted in <#${settings.channelId}> through ${via}.\n${ended}`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'ended') {
+            const action = interaction.options.getString('action');
+            this.guildSettings.set(interaction.guildId, {
+                ...this.guildSettings.get(interaction.guildId),
+                endedAction: action
+            });
+
+            await this.saveGuildSettings();
+            const description = action === 'delete' ? 'deleted' : 'edited into a stream summary';
+            await interaction.reply({ content: `✅ Go-live messages will be ${description} when the stream ends.`, ephemeral: true });
+            return;
+        }
+
+        const channel = interaction.options.getChannel('channel');
+        const webhookUrl = interaction.options.getString('webhook_url');
+
+        if (webhookUrl && !WEBHOOK_URL_PATTERN.test(webhookUrl)) {
+            await interaction.reply({ content: '❌ That does not look like a Discord webhook URL.', ephemeral: true });
+            return;
+        }
+
+        // A webhook posts to the channel it was created in, whatever channel was picked
+        if (webhookUrl) {
+            let webhookChannelId;
+            try {
+                webhookChannelId = (await this.http.get(webhookUrl)).data.channel_id;
+            } catch (error) {
+                await interaction.reply({ content: '❌ Could not reach that webhook. Check that it still exists.', ephemeral: true });
+                return;
+            }
+
+            if (webhookChannelId !== channel.id) {
+                await interaction.reply({ content: `❌ That webhook posts in <#${webhookChannelId}>, not <#${channel.id}>.`, ephemeral: true });
+                return;
+            }
+        }
+
+        // Posting through the bot needs send rights in the channel; a webhook does not
+        if (!webhookUrl) {
+            const permissions = channel.permissionsFor?.(this.client.user);
+            if (!permissions?.has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+                await interaction.reply({ 
+                    content: `❌ I need Send Messages and Embed Links permissions in <#${channel.id}>.`, 
+                    ephemeral: true 
+                });
+                return;
+            }
+        }
+
+        this.guildSettings.set(interaction.guildId, {
+            ...this.guildSettings.get(interaction.guildId),
+            channelId: channel.id,
+            webhookUrl: webhookUrl || null
+        });
+
+        await this.saveGuildSettings();
+        await interaction.reply({ content: `✅ Go-live notifications will be posted in <#${channel.id}>.`, ephemeral: true });
+    }
+
+    async handlePingCommand(interaction) {
+        const embed = new EmbedBuilder()
+            .setTitle('🏓 Pong!')
+            .setDescription('Bot is online and responding to commands')
+            .setColor(0x00FF00)
+            .addFields(
+                { name: 'Latency', value: `${Date.now() - interaction.createdTimestamp}ms`, inline: true },
+                { name: 'Monitored Users', value: `${interaction.inGuild() ? this.getGuildUsers(interaction.guildId).length : this.monitoredUsers.size}`, inline: true }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleTemplateCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const platform = interaction.options.getString('platform');
+        const username = interaction.options.getString('username');
+        const settings = this.guildSettings.get(interaction.guildId) || {};
+
+        let user = null;
+        if (platform || username) {
+            if (!platform || !username) {
+                await interaction.reply({ 
+                    content: 'Give both a platform and a username to target one streamer, or neither for the server default.', 
+                    ephemeral: true 
+                });
+                return;
+            }
+
+            user = this.findGuildUser(interaction.guildId, platform, username)?.[1];
+            if (!user) {
+                await interaction.reply({ content: `${username} on ${platform} is not being monitored.`, ephemeral: true });
+                return;
+            }
+        }
+
+        const target = user ? `**${user.displayName}**` : 'this server';
+
+        if (subcommand === 'reset') {
+            if (user) {
+                delete user.template;
+                await this.saveMonitoredUsers();
+            } else {
+                const { template, ...rest } = settings;
+                this.guildSettings.set(interaction.guildId, rest);
+                await this.saveGuildSettings();
+            }
+
+            await interaction.reply({ content: `✅ Announcement for ${target} reset to the default.`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'set') {
+            const colorInput = interaction.options.getString('color');
+            const color = colorInput ? parseColor(colorInput) : null;
+            if (colorInput && color === null) {
+                await interaction.reply({ content: '❌ Color must be a hex value like `#9146FF`.', ephemeral: true });
+                return;
+            }
+
+            const template = {
+                message: interaction.options.getString('message'),
+                mentionRoleId: interaction.options.getRole('mention_role')?.id || null,
+                mentionEveryone: interaction.options.getBoolean('mention_everyone') || false,
+                color
+            };
+
+            const refusal = await this.checkTemplateMentions(interaction, template);
+            if (refusal) {
+                await interaction.reply({ content: `❌ ${refusal}`, ephemeral: true });
+                return;
+            }
+
+            if (user) {
+                user.template = template;
+                await this.saveMonitoredUsers();
+            } else {
+                this.guildSettings.set(interaction.guildId, { ...settings, template });
+                await this.saveGuildSettings();
+            }
+        }
+
+        // Preview with the streamer's live session when there is one, otherwise sample data
+        const previewUser = user || {
+            guildId: interaction.guildId,
+            platform: this.providers.keys().next().value,
+            username: 'example',
+            displayName: 'Example Streamer'
+        };
+        const session = user ? this.streamSessions.get(trackedKey(user)) : null;
+        const streamInfo = session
+            ? { title: session.title, category: session.category, viewerCount: session.peakViewers, startedAt: session.startedAt }
+            : { title: 'Example stream title', category: 'Just Chatting', viewerCount: 1234, startedAt: new Date().toISOString() };
+
+        const message = this.buildLiveMessage(previewUser, streamInfo);
+        const heading = subcommand === 'set' ? `✅ Announcement for ${target} updated. Preview:` : `Announcement preview for ${target}:`;
+
+        await interaction.reply({
+            content: `${heading}\n${message.content || '*(no message text, embed only)*'}`,
+            embeds: message.embeds,
+            allowedMentions: { parse: [] },
+            ephemeral: true
+        });
+    }
+
+    // Every go-live would ping what the template mentions, so members (e.g. with
+    // the manager role) can only set up pings they could send themselves.
+    // Returns why the template is refused, or null.
+    async checkTemplateMentions(interaction, template) {
+        if (interaction.memberPermissions?.has(PermissionFlagsBits.MentionEveryone)) {
+            return null;
+        }
+
+        if (template.mentionEveryone) {
+            return 'Pinging @everyone needs the Mention Everyone permission.';
+        }
+
+        for (const roleId of templateRoleIds(template)) {
+            const role = await interaction.guild?.roles.fetch(roleId).catch(() => null);
+            if (role && !role.mentionable) {
+                return `${role.name} can't be mentioned by everyone, so pinging it needs the Mention Everyone permission.`;
+            }
+        }
+        return null;
+    }
+
+    async handleManagerRoleCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const settings = this.guildSettings.get(interaction.guildId) || {};
+
+        if (subcommand === 'show') {
+            const content = settings.managerRoleId
+                ? `Members with Manage Server or the <@&${settings.managerRoleId}> role can manage the bot.`
+                : 'Only members with Manage Server can manage the bot.';
+            await interaction.reply({ content, allowedMentions: { parse: [] }, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'clear') {
+            const { managerRoleId, ...rest } = settings;
+            this.guildSettings.set(interaction.guildId, rest);
+            await this.saveGuildSettings();
+            await interaction.reply({ content: '✅ Manager role cleared. Only members with Manage Server can manage the bot.', ephemeral: true });
+            return;
+        }
+
+        const role = interaction.options.getRole('role');
+        this.guildSettings.set(interaction.guildId, { ...settings, managerRoleId: role.id });
+        await this.saveGuildSettings();
+
+        await interaction.reply({
+            content: `✅ Members with <@&${role.id}> can now manage the bot.\n` +
+                'Discord only shows management commands to Manage Server by default, so also allow this role under Server Settings → Integrations.',
+            allowedMentions: { parse: [] },
+            ephemeral: true
+        });
+    }
+
+    async handleExportCommand(interaction) {
+        const format = interaction.options.getString('format') || 'json';
+        const users = this.getGuildUsers(interaction.guildId).map(([, user]) => user);
+
+        if (users.length === 0) {
+            await interaction.reply({ content: 'No users are currently being monitored.', ephemeral: true });
+            return;
+        }
+
+        const file = new AttachmentBuilder(Buffer.from(exportUsers(users, format)), { name: `tracked-streamers.${format}` });
+        await interaction.reply({
+            content: `📦 ${users.length} tracked streamers. Load them into another server with \`/import\`.`,
+            files: [file],
+            ephemeral: true
+        });
+    }
+
+    async handleImportCommand(interaction) {
+        const attachment = interaction.options.getAttachment('file');
+        const format = /\.csv$/i.test(attachment.name) ? 'csv' : /\.json$/i.test(attachment.name) ? 'json' : null;
+
+        if (!format) {
+            await interaction.reply({ content: '❌ The file must be a .json or .csv file, like the ones `/export` creates.', ephemeral: true });
+            return;
+        }
+
+        if (attachment.size > MAX_IMPORT_SIZE) {
+            await interaction.reply({ content: `❌ The file is too large (limit ${MAX_IMPORT_SIZE / 1024} KB).`, ephemeral: true });
+            return;
+        }
+
+        // Validation takes a while per row, so answer now and report progress by editing
+        await interaction.deferReply({ ephemeral: true });
+
+        let rows;
+        try {
+            const response = await this.http.get(attachment.url, {
+                responseType: 'text',
+                transformResponse: [body => body],
+                timeout: 15000,
+                maxContentLength: MAX_IMPORT_SIZE
+            });
+            rows = parseImport(response.data, format);
+        } catch (error) {
+            await interaction.editReply(`❌ Could not read ${attachment.name}: ${error.message}`);
+            return;
+        }
+
+        if (rows.length === 0) {
+            await interaction.editReply(`❌ ${attachment.name} has no streamers in it.`);
+            return;
+        }
+
+        if (rows.length > MAX_IMPORT_ROWS) {
+            await interaction.editReply(`❌ ${attachment.name} has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time.`);
+            return;
+        }
+
+        const added = [];
+        const duplicates = [];
+        const failed = [];
+        const notChecked = [];
+        const startedAt = Date.now();
+        let lastProgress = startedAt;
+        const rowLabel = row => `${row.username || '(no username)'} on ${this.getPlatformName(row.platform) || '(no platform)'}`;
+
+        for (const [i, row] of rows.entries()) {
+            if (Date.now() - startedAt >= MAX_IMPORT_DURATION) {
+                notChecked.push(...rows.slice(i).map(rest => `Row ${rest.row}: ${rowLabel(rest)}`));
+                break;
+            }
+
+            const label = rowLabel(row);
+
+            if (!this.providers.has(row.platform)) {
+                failed.push(`Row ${row.row}: ${label} - unknown platform`);
+            } else if (!row.username) {
+                failed.push(`Row ${row.row}: missing username`);
+            } else {
+                let result;
+                try {
+                    result = await this.trackUser(interaction.guildId, row.platform, row.username, row.displayName || null);
+                } catch (error) {
+                    result = { status: 'invalid', message: error.message };
+                }
+
+                if (result.status === 'added') {
+                    added.push(label);
+                } else if (result.status === 'updated') {
+                    added.push(`${label} (renamed from ${result.previousUsername})`);
+                } else if (result.status === 'duplicate') {
+                    duplicates.push(label);
+                } else {
+                    failed.push(`Row ${row.row}: ${label} - ${result.message}`);
+                }
+            }
+
+            if (Date.now() - lastProgress >= 3000 && i < rows.length - 1) {
+                lastProgress = Date.now();
+                await interaction.editReply(`⏳ Importing ${attachment.name}: ${i + 1}/${rows.length} rows checked (${added.length} added so far)...`)
+                    .catch(error => console.error('Error updating import progress:', error.message));
+            }
+        }
+
+        console.log(`Imported ${added.length}/${rows.length} streamers into guild ${interaction.guildId}`);
+        await interaction.editReply(this.buildImportSummary(attachment.name, added, duplicates, failed, notChecked));
+    }
+
+    buildImportSummary(fileName, added, duplicates, failed, notChecked = []) {
+        const timedOut = notChecked.length > 0 ? `, ${notChecked.length} not checked in time` : '';
+        const headline = `${failed.length === 0 && notChecked.length === 0 ? '✅' : '⚠️'} Finished importing ${fileName}: ` +
+            `${added.length} added, ${duplicates.length} skipped as duplicates, ${failed.length} failed${timedOut}`;
+        const sections = [
+            ['Added', added],
+            ['Skipped (already tracked)', duplicates],
+            ['Failed', failed],
+            ['Not checked (time limit reached; import these rows again)', notChecked]
+        ].filter(([, items]) => items.length > 0);
+
+        const content = [headline, ...sections.map(([title, items]) => `**${title}:**\n${items.join('\n')}`)].join('\n\n');
+        if (content.length <= 2000) {
+            return { content };
+        }
+
+        // Too long for one message: attach the full report instead
+        const report = sections.map(([title, items]) => `${title}:\n${items.join('\n')}`).join('\n\n');
+        return {
+            content: `${headline}\nThe full report is attached.`,
+            files: [new AttachmentBuilder(Buffer.from(report + '\n'), { name: 'import-report.txt' })]
+        };
+    }
+
+    async handleCreatorCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+
+        if (subcommand === 'list') {
+            const creators = Array.from(this.creators.values()).filter(creator => creator.guildId === guildId);
+            if (creators.length === 0) {
+                await interaction.reply({ content: 'No creators have been created in this server.', ephemeral: true });
+                return;
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle('👥 Creators')
+                .setColor(0x00AE86)
+                .setTimestamp();
+
+            for (const creator of creators.slice(0, 25)) {
+                const accounts = this.getGuildUsers(guildId)
+                    .filter(([, user]) => user.creatorId === creator.id)
+                    .map(([key, user]) => `${this.streamSessions.has(key) ? '🔴' : '⚫'} ${this.getPlatformName(user.platform)}: ${user.username}`);
+                embed.addFields({ name: creator.name, value: accounts.join('\n') || 'No linked accounts', inline: true });
+            }
+
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'unlink') {
+            const platform = interaction.options.getString('platform');
+            const username = interaction.options.getString('username');
+            const user = this.findGuildUser(guildId, platform, username)?.[1];
+
+            if (!user?.creatorId) {
+                await interaction.reply({ content: `${username} on ${platform} is not linked to a creator.`, ephemeral: true });
+                return;
+            }
+
+            delete user.creatorId;
+            await this.saveMonitoredUsers();
+            await interaction.reply({ content: `✅ Unlinked ${username} on ${platform}. It will be announced on its own.`, ephemeral: true });
+            return;
+        }
+
+        const name = interaction.options.getString('name').trim();
+        const key = creatorKey(guildId, name);
+        const creator = this.creators.get(key);
+
+        if (subcommand === 'create') {
+            if (creator) {
+                await interaction.reply({ content: `A creator named ${creator.name} already exists.`, ephemeral: true });
+                return;
+            }
+
+            this.creators.set(key, { guildId, id: name.toLowerCase(), name, createdAt: new Date().toISOString() });
+            await this.saveCreators();
+            await interaction.reply({ content: `✅ Created ${name}. Add accounts with \`/creator link\`.`, ephemeral: true });
+            return;
+        }
+
+        if (!creator) {
+            await interaction.reply({ content: `No creator named ${name} exists. Create it with \`/creator create\`.`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'delete') {
+            for (const [, user] of this.getGuildUsers(guildId)) {
+                if (user.creatorId === creator.id) {
+                    delete user.creatorId;
+                }
+            }
+
+            this.creators.delete(key);
+            await this.saveMonitoredUsers();
+            await this.saveCreators();
+            await interaction.reply({ content: `✅ Deleted ${creator.name}. Its accounts are still tracked and announced on their own.`, ephemeral: true });
+            return;
+        }
+
+        // link
+        const platform = interaction.options.getString('platform');
+        const username = interaction.options.getString('username');
+        const user = this.findGuildUser(guildId, platform, username)?.[1];
+
+        if (!user) {
+            await interaction.reply({ content: `${username} on ${platform} is not being monitored. Track it with \`/track\` first.`, ephemeral: true });
+            return;
+        }
+
+        const previous = user.creatorId && user.creatorId !== creator.id
+            ? this.creators.get(creatorKey(guildId, user.creatorId))
+            : null;
+        user.creatorId = creator.id;
+        await this.saveMonitoredUsers();
+
+        const moved = previous ? ` (moved from ${previous.name})` : '';
+        await interaction.reply({ 
+            content: `✅ Linked ${user.displayName} on ${this.getPlatformName(platform)} to ${creator.name}${moved}. Its next go-live is merged into ${creator.name}'s announcement.`, 
+            ephemeral: true 
+        });
+    }
+
+    async handleStatsCommand(interaction) {
+        const range = interaction.options.getString('range') || '30d';
+        const platform = interaction.options.getString('platform');
+        const username = interaction.options.getString('username');
+
+        if (Boolean(platform) !== Boolean(username)) {
+            await interaction.reply({ 
+                content: 'Give both a platform and a username for one streamer, or neither for the whole server.', 
+                ephemeral: true 
+            });
+            return;
+        }
+
+        let records = Array.from(this.streamHistory.values()).filter(record => record.guildId === interaction.guildId);
+        if (platform) {
+            // Records name the account by ID since IDs became keys; older ones only by username
+            const user = this.findGuildUser(interaction.guildId, platform, username)?.[1];
+            const names = [username, user?.username].filter(Boolean).map(name => name.replace(/^@/, '').toLowerCase());
+            records = records.filter(record => record.platform === platform && (
+                user && record.accountId ? record.accountId === user.id : names.includes(record.username.replace(/^@/, '').toLowerCase())));
+        }
+        records = filterByRange(records, range);
+
+        const rangeName = STATS_RANGES[range].name;
+        const subject = platform
+            ? `${records[0]?.displayName || username} on ${this.getPlatformName(platform)}`
+            : interaction.guild?.name || 'this server';
+        const summary = summarizeSessions(records);
+
+        if (!summary) {
+            await interaction.reply({ content: `No finished streams recorded for ${subject} (${rangeName.toLowerCase()}).`, ephemeral: true });
+            return;
+        }
+
+        const longest = summary.longest;
+        const longestBy = platform ? '' : ` by ${longest.displayName}`;
+        const longestTitle = longest.title ? `\n${longest.title}` : '';
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📊 Stream Stats: ${subject}`)
+            .setDescription(rangeName)
+            .setColor(0x00AE86)
             .addFields(
-                { name: 'Latency', value: `${Date.now() - interaction.createdTimestamp}ms`, inline: true },
-                { name: 'Monitored Users', value: `${this.monitoredUsers.size}`, inline: true }
+                { name: 'Streams', value: `${summary.count}`, inline: true },
+                { name: 'Total Time', value: formatHours(summary.totalMs), inline: true },
+                { name: 'Average Length', value: formatHours(summary.averageMs), inline: true },
+                { name: 'Usual Start', value: `${summary.weekday}s around ${String(summary.hour).padStart(2, '0')}:00 UTC`, inline: true },
+                { 
+                    name: 'Longest Stream', 
+                    value: `${formatDuration(longest.durationMs)}${longestBy} on <t:${Math.floor(new Date(longest.startedAt) / 1000)}:D>${longestTitle}`, 
+                    inline: false 
+                }
+            )
+            .setTimestamp();
+
+        if (!platform) {
+            const totals = new Map();
+            for (const record of records) {
+                const streamer = `${record.platform}:${record.accountId || record.username}`;
+                const entry = totals.get(streamer) || { name: record.displayName, platform: record.platform, totalMs: 0, count: 0 };
+                entry.totalMs += record.durationMs;
+                entry.count++;
+                totals.set(streamer, entry);
+            }
+
+            const top = Array.from(totals.values())
+                .sort((a, b) => b.totalMs - a.totalMs)
+                .slice(0, 5)
+                .map((entry, i) => `${i + 1}. **${entry.name}** (${this.getPlatformName(entry.platform)}): ${formatHours(entry.totalMs)} over ${entry.count} streams`);
+            embed.addFields({ name: 'Most Active', value: top.join('\n'), inline: false });
+        }
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    async handleStatusCommand(interaction) {
+        const users = interaction.inGuild()
+            ? this.getGuildUsers(interaction.guildId)
+            : Array.from(this.monitoredUsers.entries());
+        const liveCount = users.filter(([key]) => this.streamSessions.has(key)).length;
+
+        const embed = new EmbedBuilder()
+            .setTitle('📊 Monitoring Status')
+            .setColor(0x00AE86)
+            .addFields(
+                { name: 'Monitored Users', value: `${users.length}`, inline: true },
+                { name: 'Live Now', value: `${liveCount}`, inline: true }
             )
             .setTimestamp();
 
+        const polling = Array.from(this.providers.values()).map(provider => {
+            const job = this.scheduler.jobs.get(provider.id);
+            const last = job.lastRun ? `last <t:${Math.floor(job.lastRun.finishedAt / 1000)}:R>` : 'not run yet';
+            const push = this.pushPlatforms.has(provider.id) ? ' (push enabled)' : '';
+            return `**${provider.name}**: every ${job.interval / 60000}m${push}, ${last}`;
+        });
+        embed.addFields({ name: 'Polling', value: polling.join('\n'), inline: false });
+
+        for (const provider of this.providers.values()) {
+            const fields = provider.getStatusFields();
+            if (fields.length > 0) {
+                embed.addFields(...fields);
+            }
+        }
+
         await interaction.reply({ embeds: [embed], ephemeral: true });
     }
 
     startMonitoring() {
         console.log('Starting stream monitoring...');
-        this.checkAllStreams();
-        this.checkInterval = setInterval(() => {
-            this.checkAllStreams();
-        }, CONFIG.CHECK_INTERVAL);
+        this.monitoringStartedAt = Date.now();
+        for (const provider of this.providers.values()) {
+            console.log(`  - ${provider.name}: every ${provider.polling.interval / 60000} minutes`);
+        }
+        this.scheduler.start();
     }
 
+    // Run one check cycle for every platform
     async checkAllStreams() {
-        console.log('Checking all streams...');
-        
+        await Promise.all(Array.from(this.providers.keys()).map(platform => this.scheduler.run(platform)));
+    }
+
+    async checkPlatformStreams(platform) {
+        const provider = this.providers.get(platform);
+        await this.refreshAccounts(platform);
+
+        // Several guilds can track the same streamer, so check each account once
+        const accounts = new Map();
         for (const [key, user] of this.monitoredUsers) {
+            if (user.platform !== platform) {
+                continue;
+            }
+
+            const accountId = provider.accountId(user);
+            if (!accounts.has(accountId)) {
+                accounts.set(accountId, []);
+            }
+            accounts.get(accountId).push([key, user]);
+        }
+
+        if (accounts.size === 0) {
+            return;
+        }
+
+        console.log(`Checking ${accounts.size} ${provider.name} streams...`);
+
+        const platformAccounts = Array.from(accounts.values());
+        const { batchSize, concurrency } = provider.polling;
+        const size = Math.min(batchSize, platformAccounts.length);
+        const batches = [];
+        for (let i = 0; i < platformAccounts.length; i += size) {
+            batches.push(platformAccounts.slice(i, i + size));
+        }
+
+        let answered = 0;
+        await mapWithConcurrency(batches, concurrency, async (batch) => {
+            let results;
             try {
-                const isLive = await this.checkStreamStatus(user.platform, user.username);
-                const wasLive = this.liveStatus.get(key) || false;
+                await provider.rateLimiter.wait();
+                results = await this.checkStreamStatuses(platform, batch.map(entries => entries[0][1]));
+            } catch (error) {
+                console.error(`Error checking ${provider.name} streams:`, error);
+                this.checkErrors.inc({ platform }, batch.length);
+                return;
+            }
 
-                if (isLive && !wasLive) {
-                    console.log(`${user.displayName} went live on ${user.platform}!`);
-                    await this.sendLiveNotification(user);
-                    this.liveStatus.set(key, true);
-                } else if (!isLive && wasLive) {
-                    console.log(`${user.displayName} went offline on ${user.platform}`);
-                    this.liveStatus.set(key, false);
+            for (let i = 0; i < batch.length; i++) {
+                this.checkCounter.inc({ platform, result: results[i].status });
+                if (results[i].status === 'unknown') {
+                    this.checkErrors.inc({ platform });
+                } else {
+                    answered++;
                 }
-            } catch (error) {
-                console.error(`Error checking ${user.username} on ${user.platform}:`, error);
+                const accountId = provider.accountId(batch[i][0][1]);
+                await this.withAccountLock(platform, accountId, () => this.applyStreamStatus(batch[i], results[i]));
+            }
+        });
+
+        // Ended sessions past the cooldown can no longer be resumed
+        for (const [key, ended] of this.endedSessions) {
+            if (Date.now() - new Date(ended.endedAt) >= this.config.REANNOUNCE_COOLDOWN) {
+                this.endedSessions.delete(key);
             }
         }
-    }
 
-    async checkStreamStatus(platform, username) {
-        switch (platform) {
-            case 'youtube':
-                return await this.checkYouTubeLive(username);
-            case 'twitch':
-                return await this.checkTwitchLive(username);
-            case 'tiktok':
-                return await this.checkTikTokLive(username);
-            case 'kick':
-                return await this.checkKickLive(username);
-            default:
-                return false;
+        await this.saveLiveState();
+
+        // Providers turn API failures into 'unknown' rather than throwing, so a
+        // cycle without a single answer is reported to the scheduler as failed here
+        if (answered === 0) {
+            throw new Error(`None of the ${accounts.size} ${provider.name} checks got an answer`);
         }
     }
 
-    async checkYouTubeLive(channelInput) {
-        if (!CONFIG.YOUTUBE_API_KEY) {
-            console.log('YouTube API key not configured');
-            return false;
+    // Look up IDs for entries saved before accounts were keyed by ID, and pick
+    // up renames so links and names stay current. Runs with the first check
+    // after startup and then every ACCOUNT_REFRESH_INTERVAL.
+    async refreshAccounts(platform) {
+        if (Date.now() - (this.accountsRefreshedAt.get(platform) || 0) < ACCOUNT_REFRESH_INTERVAL) {
+            return;
         }
+        this.accountsRefreshedAt.set(platform, Date.now());
 
-        try {
-            let channelId = channelInput;
-            
-            // If the input doesn't look like a channel ID (UC...), try to resolve it
-            if (!channelInput.startsWith('UC')) {
-                channelId = await this.resolveYouTubeChannel(channelInput);
-                if (!channelId) {
-                    console.error(`Could not resolve YouTube channel: ${channelInput}`);
-                    return false;
-                }
+        const provider = this.providers.get(platform);
+        let changed = false;
+        let subscriptionsChanged = false;
+
+        for (const [key, user] of Array.from(this.monitoredUsers)) {
+            if (user.platform !== platform || user.id) {
+                continue;
             }
 
-            const response = await axios.get(`https://www.googleapis.com/youtube/v3/search`, {
-                params: {
-                    part: 'snippet',
-                    channelId: channelId,
-                    eventType: 'live',
-                    type: 'video',
-                    key: CONFIG.YOUTUBE_API_KEY
-                }
-            });
-            return response.data.items.length > 0;
-        } catch (error) {
-            console.error(`YouTube API error for ${channelInput}:`, error.response?.data?.error?.message || error.message);
-            return false;
+            // Left keyed by username if the platform can't be asked right now; tried again next time
+            const result = await this.validateUser(platform, user.username);
+            if (!result.valid) {
+                console.warn(`Could not look up ${user.username} on ${provider.name}: ${result.message}`);
+                continue;
+            }
+
+            subscriptionsChanged = this.rekeyUser(key, { ...user, id: result.id || user.username, username: result.username || user.username }) || subscriptionsChanged;
+            changed = true;
         }
-    }
 
-    async resolveYouTubeChannel(input) {
+        const users = Array.from(this.monitoredUsers.values()).filter(user => user.platform === platform && user.id);
+        let accounts = new Map();
         try {
-            // First try to search for the channel by username/handle
-            const searchResponse = await axios.get(`https://www.googleapis.com/youtube/v3/search`, {
-                params: {
-                    part: 'snippet',
-                    q: input,
-                    type: 'channel',
-                    maxResults: 1,
-                    key: CONFIG.YOUTUBE_API_KEY
-                }
-            });
+            accounts = users.length > 0 ? await provider.getAccounts(users) : accounts;
+        } catch (error) {
+            console.error(`Error refreshing ${provider.name} account names:`, error.response?.data?.message || error.message);
+        }
 
-            if (searchResponse.data.items.length > 0) {
-                return searchResponse.data.items[0].snippet.channelId;
+        for (const user of users) {
+            const account = accounts.get(user.id);
+            if (!account) {
+                continue;
             }
 
-            // If search fails, try the channels endpoint with forUsername
-            const channelResponse = await axios.get(`https://www.googleapis.com/youtube/v3/channels`, {
-                params: {
-                    part: 'id',
-                    forUsername: input,
-                    key: CONFIG.YOUTUBE_API_KEY
-                }
-            });
-
-            if (channelResponse.data.items.length > 0) {
-                return channelResponse.data.items[0].id;
+            if (account.username !== user.username) {
+                console.log(`${user.displayName} on ${provider.name} renamed from ${user.username} to ${account.username}`);
+                user.username = account.username;
+                changed = true;
+            }
+            if (!user.customName && account.displayName && account.displayName !== user.displayName) {
+                user.displayName = account.displayName;
+                changed = true;
             }
+        }
 
-            return null;
-        } catch (error) {
-            console.error(`Error resolving YouTube channel ${input}:`, error.response?.data?.error?.message || error.message);
-            return null;
+        if (changed) {
+            await this.saveMonitoredUsers();
+            await this.saveLiveState();
+            this.syncPush(platform);
+        }
+        if (subscriptionsChanged) {
+            await this.saveSubscriptions();
         }
     }
 
-    async checkTwitchLive(username) {
-        try {
-            if (!this.twitchToken) {
-                await this.getTwitchToken();
+    // Move an entry to the key for its (new) ID, along with its live state and
+    // subscriptions. When the account is already tracked under that key the
+    // older entry is kept. Returns whether any subscription changed.
+    rekeyUser(oldKey, user) {
+        const newKey = trackedKey(user);
+        this.monitoredUsers.delete(oldKey);
+        if (!this.monitoredUsers.has(newKey)) {
+            this.monitoredUsers.set(newKey, user);
+        }
+
+        for (const sessions of [this.streamSessions, this.endedSessions]) {
+            if (sessions.has(oldKey) && !sessions.has(newKey)) {
+                sessions.set(newKey, sessions.get(oldKey));
+            }
+            sessions.delete(oldKey);
+        }
+        return this.replaceSubscribedKey(oldKey, newKey);
+    }
+
+    // Point subscriptions to a tracked entry at its new key, or drop them when
+    // newKey is null. Returns whether any subscription changed.
+    replaceSubscribedKey(oldKey, newKey) {
+        let changed = false;
+        for (const [key, subscription] of Array.from(this.subscriptions)) {
+            if (!subscription.streamers.includes(oldKey)) {
+                continue;
             }
 
-            const response = await axios.get(`https://api.twitch.tv/helix/streams`, {
-                params: {
-                    user_login: username
-                },
-                headers: {
-                    'Client-ID': CONFIG.TWITCH_CLIENT_ID,
-                    'Authorization': `Bearer ${this.twitchToken}`
+            subscription.streamers = subscription.streamers.filter(key => key !== oldKey && key !== newKey);
+            if (newKey) {
+                subscription.streamers.push(newKey);
+            }
+            if (isEmptySubscription(subscription)) {
+                this.subscriptions.delete(key);
+            }
+            changed = true;
+        }
+        return changed;
+    }
+
+    async applyStreamStatus(entries, streamInfo) {
+        for (const [key, user] of entries) {
+            try {
+                const session = this.streamSessions.get(key);
+
+                if (streamInfo.status === 'unknown') {
+                    // A failed check says nothing about the stream, so keep the current state
+                    continue;
                 }
-            });
 
-            return response.data.data.length > 0;
-        } catch (error) {
-            console.error('Twitch API error:', error);
+                if (streamInfo.status === 'live' && session && !this.isNewStream(session, streamInfo)) {
+                    // Still live, possibly since before a restart
+                    this.updateSession(session, streamInfo);
+                } else if (streamInfo.status === 'live') {
+                    // A stream replacing a live session is new by definition, so only
+                    // sessions that ended on an earlier check can be resumed
+                    const ended = session ? null : this.endedSessions.get(key);
+                    if (session) {
+                        await this.endSession(key, user, session);
+                    }
+
+                    if (ended && Date.now() - new Date(ended.endedAt) < this.config.REANNOUNCE_COOLDOWN) {
+                        console.log(`${user.displayName} is back live on ${user.platform}, resuming the previous session`);
+                        await this.resumeSession(key, user, ended, streamInfo);
+                        continue;
+                    }
+
+                    console.log(`${user.displayName} went live on ${user.platform}!`);
+                    const newSession = {
+                        startedAt: streamInfo.startedAt || new Date().toISOString(),
+                        lastSeenAt: new Date().toISOString(),
+                        title: streamInfo.title || null,
+                        category: streamInfo.category || null,
+                        streamId: streamInfo.streamId || null,
+                        thumbnailUrl: streamInfo.thumbnailUrl || null,
+                        peakViewers: streamInfo.viewerCount ?? null,
+                        offlineChecks: 0
+                    };
+                    this.streamSessions.set(key, newSession);
+
+                    const notification = await this.announceSession(key, user, streamInfo);
+                    newSession.messageId = notification?.messageId || null;
+                    newSession.channelId = notification?.channelId || null;
+                    newSession.webhookUrl = notification?.webhookUrl || null;
+                    await this.notifySubscribers(key, user, streamInfo);
+                } else if (session) {
+                    session.offlineChecks = (session.offlineChecks || 0) + 1;
+                    if (session.offlineChecks >= this.config.OFFLINE_CHECKS || streamInfo.confirmed) {
+                        console.log(`${user.displayName} went offline on ${user.platform}`);
+                        await this.endSession(key, user, session);
+                    }
+                }
+            } catch (error) {
+                console.error(`Error updating ${user.username} on ${user.platform}:`, error);
+            }
+        }
+    }
+
+    // A start time that differs from the stored session means the stream
+    // ended and restarted while we were not watching. A restart shortly after
+    // the session was last seen is treated as the same broadcast.
+    isNewStream(session, streamInfo) {
+        if (!streamInfo.startedAt || !session.startedAt) {
+            return false;
+        }
+
+        const startedAt = new Date(streamInfo.startedAt);
+        if (Math.abs(startedAt - new Date(session.startedAt)) <= this.config.NEW_SESSION_GAP) {
             return false;
         }
+        return startedAt - new Date(session.lastSeenAt) >= this.config.REANNOUNCE_COOLDOWN;
+    }
+
+    updateSession(session, streamInfo) {
+        session.lastSeenAt = new Date().toISOString();
+        session.offlineChecks = 0;
+        session.title = streamInfo.title || session.title;
+        session.category = streamInfo.category || session.category;
+        session.streamId = streamInfo.streamId || session.streamId;
+        session.thumbnailUrl = streamInfo.thumbnailUrl || session.thumbnailUrl;
+        if (streamInfo.viewerCount !== null) {
+            session.peakViewers = Math.max(session.peakViewers || 0, streamInfo.viewerCount);
+        }
+    }
+
+    async endSession(key, user, session) {
+        this.streamSessions.delete(key);
+
+        // A creator's announcement stays live while any of their other platforms are
+        const creator = this.getCreator(user);
+        const shared = creator && session.messageId
+            ? this.getCreatorSessions(creator).find(([, , other]) => other.messageId === session.messageId)
+            : null;
+
+        if (shared) {
+            await this.refreshCreatorMessage(creator, session);
+        } else {
+            await this.closeSession(creator ? { ...user, displayName: creator.name } : user, session);
+        }
+        this.endedSessions.set(key, { ...session, endedAt: new Date().toISOString() });
+        this.recordHistory(key, user, session);
+    }
+
+    // Entries are keyed by start time, so a resumed session updates its entry when it ends again
+    recordHistory(key, user, session) {
+        const record = {
+            guildId: user.guildId,
+            platform: user.platform,
+            accountId: user.id || null,
+            username: user.username,
+            displayName: user.displayName,
+            startedAt: session.startedAt,
+            endedAt: session.lastSeenAt,
+            durationMs: Math.max(0, new Date(session.lastSeenAt) - new Date(session.startedAt)),
+            peakViewers: session.peakViewers ?? null,
+            title: session.title || null,
+            category: session.category || null
+        };
+
+        const historyKey = `${key}:${session.startedAt}`;
+        this.streamHistory.set(historyKey, record);
+        this.unsavedHistory.set(historyKey, record);
+        if (pruneHistory(this.streamHistory, this.config.HISTORY_RETENTION) > 0) {
+            this.historyPruned = true;
+        }
     }
 
-    async getTwitchToken() {
+    // Entries that fail to save are kept for the next attempt
+    async saveUnsavedHistory() {
+        const entries = this.unsavedHistory;
+        const pruned = this.historyPruned;
+        if (entries.size === 0 && !pruned) {
+            return;
+        }
+
+        this.unsavedHistory = new Map();
+        this.historyPruned = false;
         try {
-            const response = await axios.post('https://id.twitch.tv/oauth2/token', {
-                client_id: CONFIG.TWITCH_CLIENT_ID,
-                client_secret: CONFIG.TWITCH_CLIENT_SECRET,
-                grant_type: 'client_credentials'
-            });
-            this.twitchToken = response.data.access_token;
+            if (pruned) {
+                await this.storage.save('history', this.streamHistory);
+            } else {
+                await this.storage.saveEntries('history', entries);
+            }
         } catch (error) {
-            console.error('Error getting Twitch token:', error);
+            console.error('Error saving stream history:', error);
+            this.unsavedHistory = new Map([...entries, ...this.unsavedHistory]);
+            this.historyPruned = this.historyPruned || pruned;
         }
     }
 
-    async checkTikTokLive(username) {
+    async saveHistory() {
         try {
-            // TikTok doesn't have a public API, so we'll scrape the live page
-            const url = `https://www.tiktok.com/@${username}/live`;
-            
-            const response = await axios.get(url, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'Connection': 'keep-alive',
-                    'Upgrade-Insecure-Requests': '1',
-                    'Sec-Fetch-Dest': 'document',
-                    'Sec-Fetch-Mode': 'navigate',
-                    'Sec-Fetch-Site': 'none',
-                    'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
-                },
-                timeout: 15000, // 15 second timeout
-                maxRedirects: 5
-            });
-
-            const $ = cheerio.load(response.data);
-            
-            // Check for various indicators that the user is live
-            const indicators = [
-                // Look for live status in the page title
-                $('title').text().toLowerCase().includes('live'),
-                
-                // Look for live indicators in meta tags
-                $('meta[property="og:title"]').attr('content')?.toLowerCase().includes('live'),
-                $('meta[name="description"]').attr('content')?.toLowerCase().includes('live'),
-                
-                // Look for live status in JSON-LD structured data
-                $('script[type="application/ld+json"]').length > 0 && 
-                $('script[type="application/ld+json"]').text().toLowerCase().includes('live'),
-                
-                // Look for specific TikTok live elements (these may change)
-                $('.live-room').length > 0,
-                $('[data-e2e="live-room"]').length > 0,
-                $('.live-stream').length > 0,
-                $('[data-testid="live-stream"]').length > 0,
-                
-                // Look for live text content
-                $('body').text().toLowerCase().includes('is live'),
-                $('body').text().toLowerCase().includes('live now'),
-                
-                // Check for specific TikTok live page elements
-                $('.live-container').length > 0,
-                $('[class*="live"]').length > 0 && $('[class*="room"]').length > 0
-            ];
-            
-            const isLive = indicators.some(indicator => indicator);
-            
-            // Additional check: if the page redirects to the main profile, user is likely not live
-            if (response.request.res.responseUrl && !response.request.res.responseUrl.includes('/live')) {
-                return false;
-            }
-            
-            // Log some debug info
-            console.log(`TikTok live check for ${username}: ${isLive ? 'LIVE' : 'NOT LIVE'}`);
-            
-            return isLive;
-            
+            await this.storage.save('history', this.streamHistory);
         } catch (error) {
-            if (error.response?.status === 404) {
-                console.error(`TikTok user ${username} not found (404)`);
-            } else if (error.response?.status === 403) {
-                console.error(`TikTok blocked request for ${username} (403) - might need to use proxy`);
-            } else if (error.code === 'ECONNABORTED') {
-                console.error(`TikTok request timeout for ${username}`);
-            } else {
-                console.error(`TikTok API error for ${username}:`, error.response?.status || error.message);
-            }
-            return false;
+            console.error('Error saving stream history:', error);
         }
     }
 
-    async checkKickLive(username) {
-        // Implement rate limiting
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastKickRequest;
-        if (timeSinceLastRequest < this.kickRequestDelay) {
-            await new Promise(resolve => setTimeout(resolve, this.kickRequestDelay - timeSinceLastRequest));
-        }
-        this.lastKickRequest = Date.now();
-
-        // Use curl subprocess to bypass Node.js TLS fingerprinting detection
-        return await this.checkKickWithCurl(username);
-    }
-
-    async checkKickWithCurl(username) {
-        const { exec } = require('child_process');
-        const { promisify } = require('util');
-        const execAsync = promisify(exec);
-
-        // Multiple curl strategies to avoid security blocks
-        const strategies = [
-            {
-                name: 'v2 API with full headers',
-                command: `curl -s -H "User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" -H "Accept: application/json" --max-time 15 "https://kick.com/api/v2/channels/${username}"`
-            },
-            {
-                name: 'v1 API with full headers',
-                command: `curl -s -H "User-Agent: Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36" -H "Accept: application/json" --max-time 15 "https://kick.com/api/v1/channels/${username}"`
-            },
-            {
-                name: 'v2 API with different UA',
-                command: `curl -s -H "User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36" -H "Accept: application/json" --max-time 15 "https://kick.com/api/v2/channels/${username}"`
-            },
-            {
-                name: 'v2 API mobile headers',
-                command: `curl -s -H "User-Agent: Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15" -H "Accept: application/json" --max-time 15 "https://kick.com/api/v2/channels/${username}"`
-            }
-        ];
-
-        for (let i = 0; i < strategies.length; i++) {
-            const strategy = strategies[i];
+    // Pick an ended session back up without a new announcement, restoring its message
+    async resumeSession(key, user, ended, streamInfo) {
+        const { endedAt, ...session } = ended;
+        this.endedSessions.delete(key);
+        this.updateSession(session, streamInfo);
+        this.streamSessions.set(key, session);
+
+        const creator = this.getCreator(user);
+        if (session.messageId) {
             try {
-                console.log(`Kick: Trying ${strategy.name} for ${username}...`);
-                
-                const { stdout, stderr } = await execAsync(strategy.command);
-                
-                if (stderr && stderr.trim()) {
-                    console.log(`Curl stderr (${strategy.name}):`, stderr.trim());
-                }
-                
-                if (!stdout || stdout.trim() === '') {
-                    console.log(`Empty response from ${strategy.name} for ${username}`);
-                    continue; // Try next strategy
-                }
+                const embed = creator ? this.buildCreatorEmbed(creator) : this.buildLiveEmbed(user, streamInfo);
+                await this.editNotification(session, { embeds: [embed.toJSON()] });
+            } catch (error) {
+                console.error(`Error restoring go-live message for ${user.username} on ${user.platform}:`, error.message);
+            }
+        }
+    }
 
-                // Parse the JSON response
-                let channelData;
-                try {
-                    channelData = JSON.parse(stdout);
-                } catch (parseError) {
-                    console.log(`Failed to parse response from ${strategy.name}:`, parseError.message);
-                    continue; // Try next strategy
-                }
+    async checkStreamStatuses(platform, users) {
+        const provider = this.providers.get(platform);
+        if (!provider) {
+            return users.map(() => ({ status: 'unknown' }));
+        }
 
-                // Check if we got an error response
-                if (channelData.error) {
-                    console.log(`${strategy.name} blocked for ${username}:`, channelData.error);
-                    continue; // Try next strategy
-                }
+        return await provider.checkLiveMany(users);
+    }
 
-                // Success! Check if the channel has an active livestream
-                const isLive = channelData.livestream !== null && channelData.livestream !== undefined;
-                
-                console.log(`✅ Kick success (${strategy.name}) for ${username}:`, {
-                    id: channelData.id,
-                    slug: channelData.slug,
-                    livestream: isLive ? 'Active' : 'None'
-                });
+    getCreator(user) {
+        return user.creatorId ? this.creators.get(creatorKey(user.guildId, user.creatorId)) || null : null;
+    }
 
-                return isLive;
+    // [key, user, session] for each of the creator's accounts that is live, earliest first
+    getCreatorSessions(creator) {
+        return this.getGuildUsers(creator.guildId)
+            .filter(([, user]) => user.creatorId === creator.id)
+            .map(([key, user]) => [key, user, this.streamSessions.get(key)])
+            .filter(([, , session]) => session)
+            .sort(([, , a], [, , b]) => new Date(a.startedAt) - new Date(b.startedAt));
+    }
+
+    // Post the go-live announcement for a session that was just added to
+    // streamSessions. Accounts linked to a creator share one message: the first
+    // platform posts it and later ones are added to it by editing.
+    async announceSession(key, user, streamInfo) {
+        const creator = this.getCreator(user);
+        if (!creator) {
+            const notification = await this.sendLiveNotification(user, streamInfo);
+            if (notification) {
+                this.announcementCounter.inc({ platform: user.platform });
+            }
+            return notification;
+        }
+
+        const shared = this.getCreatorSessions(creator).find(([otherKey, , session]) => otherKey !== key && session.messageId);
+        if (shared) {
+            const [, , session] = shared;
+            const notification = { messageId: session.messageId, channelId: session.channelId, webhookUrl: session.webhookUrl };
+            await this.refreshCreatorMessage(creator, notification);
+            return notification;
+        }
+
+        const message = this.buildLiveMessage(user, streamInfo);
+        const notification = await this.deliverNotification(user.guildId, {
+            ...message,
+            embeds: [this.buildCreatorEmbed(creator).toJSON()],
+            components: this.buildNotifyButton(`notify-creator:${creator.id}`)
+        });
+        if (notification) {
+            this.announcementCounter.inc({ platform: user.platform });
+        }
+        return notification;
+    }
+
+    // Personal alerts for a stream that was just announced. Members in their
+    // quiet hours are skipped; DMs that can't be delivered fall back to a mention.
+    async notifySubscribers(key, user, streamInfo) {
+        const subscribers = Array.from(this.subscriptions.values())
+            .filter(subscription => subscription.guildId === user.guildId && subscription.streamers.includes(key))
+            .filter(subscription => !isQuietTime(subscription.quietHours));
+        if (subscribers.length === 0) {
+            return;
+        }
+
+        const platformName = this.getPlatformName(user.platform);
+        const mentions = subscribers.filter(subscription => subscription.delivery === 'mention').map(subscription => subscription.userId);
+        const dms = subscribers.filter(subscription => subscription.delivery !== 'mention');
 
+        await mapWithConcurrency(dms, DM_CONCURRENCY, async (subscription) => {
+            try {
+                const member = await this.client.users.fetch(subscription.userId);
+                await member.send({
+                    content: `🔔 **${user.displayName}** is live on ${platformName}: ${this.generateLiveUrl(user)}`,
+                    embeds: [this.buildLiveEmbed(user, streamInfo).toJSON()]
+                });
             } catch (error) {
-                console.log(`${strategy.name} execution error for ${username}:`, error.message);
-                continue; // Try next strategy
+                // Usually DMs closed or no server in common
+                console.warn(`Could not DM ${subscription.userId} about ${user.displayName}, mentioning instead:`, error.message);
+                mentions.push(subscription.userId);
             }
+        });
+
+        for (const batch of mentionBatches(`🔔 **${user.displayName}** is live on ${platformName}!`, mentions)) {
+            await this.deliverNotification(user.guildId, {
+                content: batch.content,
+                allowed_mentions: { parse: [], users: batch.userIds }
+            });
+        }
+    }
+
+    async refreshCreatorMessage(creator, notification) {
+        try {
+            await this.editNotification(notification, { embeds: [this.buildCreatorEmbed(creator).toJSON()] });
+        } catch (error) {
+            console.error(`Error updating go-live message for ${creator.name}:`, error.message);
         }
+    }
+
+    // One embed for every platform the creator is live on
+    buildCreatorEmbed(creator) {
+        const live = this.getCreatorSessions(creator);
+        const [, firstUser, firstSession] = live[0];
+
+        const platforms = live.map(([, user, session]) => {
+            const details = [session.category, session.peakViewers ? `${session.peakViewers.toLocaleString('en-US')} viewers` : null].filter(Boolean);
+            const suffix = details.length > 0 ? ` - ${details.join(' · ')}` : '';
+            return `**[${this.getPlatformName(user.platform)}](${this.generateLiveUrl(user)})**${suffix}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🔴 ${creator.name} is now LIVE!`)
+            .setDescription(firstSession.title || `${creator.name} just went live`)
+            .setColor(this.getTemplate(firstUser)?.color ?? this.providers.get(firstUser.platform)?.color ?? 0xFF0000)
+            .setURL(this.generateLiveUrl(firstUser))
+            .addFields({ name: `Live on ${live.length} platform${live.length === 1 ? '' : 's'}`, value: platforms.join('\n'), inline: false })
+            .setTimestamp(new Date(firstSession.startedAt));
+
+        const thumbnailUrl = live.map(([, , session]) => session.thumbnailUrl).find(Boolean);
+        if (thumbnailUrl) {
+            embed.setImage(thumbnailUrl);
+        }
+
+        return embed;
+    }
+
+    async sendLiveNotification(user, streamInfo = {}) {
+        return await this.deliverNotification(user.guildId, {
+            ...this.buildLiveMessage(user, streamInfo),
+            components: this.buildNotifyButton(`notify:${user.platform}:${user.id || user.username}`)
+        });
+    }
 
-        // If all strategies failed, log comprehensive error
-        console.error(`❌ All Kick strategies failed for ${username} - platform may be temporarily blocking requests`);
-        return false;
+    // Go-live messages carry a button that subscribes whoever presses it. Discord
+    // only shows it on messages sent by the bot or a webhook the bot created.
+    buildNotifyButton(customId) {
+        const row = new ActionRowBuilder().addComponents(new ButtonBuilder()
+            .setCustomId(customId)
+            .setLabel('🔔 Notify me')
+            .setStyle(ButtonStyle.Secondary));
+        return [row.toJSON()];
     }
 
+    // Streamer templates replace the server's default template
+    getTemplate(user) {
+        return user.template || this.guildSettings.get(user.guildId)?.template || null;
+    }
+
+    buildLiveMessage(user, streamInfo = {}) {
+        const values = templateValues(user, streamInfo, {
+            platformName: this.getPlatformName(user.platform),
+            url: this.generateLiveUrl(user)
+        });
+        const { content, allowedMentions } = buildAnnouncement(this.getTemplate(user), values);
+
+        return {
+            content,
+            embeds: [this.buildLiveEmbed(user, streamInfo).toJSON()],
+            allowed_mentions: allowedMentions
+        };
+    }
 
-    async sendLiveNotification(user) {
-        const liveUrl = this.generateLiveUrl(user.platform, user.username);
+    buildLiveEmbed(user, streamInfo = {}) {
+        const liveUrl = this.generateLiveUrl(user);
+        const platformName = this.getPlatformName(user.platform);
         
         const embed = new EmbedBuilder()
             .setTitle(`🔴 ${user.displayName} is now LIVE!`)
-            .setDescription(`${user.displayName} just went live on ${user.platform.charAt(0).toUpperCase() + user.platform.slice(1)}`)
-            .setColor(0xFF0000)
+            .setDescription(streamInfo.title || `${user.displayName} just went live on ${platformName}`)
+            .setColor(this.getTemplate(user)?.color ?? this.providers.get(user.platform)?.color ?? 0xFF0000)
             .setURL(liveUrl)
             .addFields({
                 name: 'Platform',
-                value: user.platform.charAt(0).toUpperCase() + user.platform.slice(1),
+                value: platformName,
                 inline: true
             })
-            .setTimestamp();
+            .setTimestamp(streamInfo.startedAt ? new Date(streamInfo.startedAt) : new Date());
+
+        if (streamInfo.category) {
+            embed.addFields({ name: 'Category', value: streamInfo.category, inline: true });
+        }
+
+        if (streamInfo.viewerCount !== null && streamInfo.viewerCount !== undefined) {
+            embed.addFields({ name: 'Viewers', value: streamInfo.viewerCount.toLocaleString('en-US'), inline: true });
+        }
+
+        if (streamInfo.thumbnailUrl) {
+            embed.setImage(streamInfo.thumbnailUrl);
+        }
+
+        return embed;
+    }
+
+    // Edit the go-live message into a summary, or delete it, per the guild's setting
+    async closeSession(user, session) {
+        if (!session.messageId) {
+            return;
+        }
+
+        const action = this.guildSettings.get(user.guildId)?.endedAction || 'edit';
 
         try {
-            await axios.post(CONFIG.WEBHOOK_URL, {
-                embeds: [embed.toJSON()]
-            });
+            if (action === 'delete') {
+                await this.deleteNotification(session);
+                session.messageId = null;
+                return;
+            }
+
+            const provider = this.providers.get(user.platform);
+            const vodUrl = provider ? await provider.getVodUrl(user, session) : null;
+            await this.editNotification(session, { embeds: [this.buildEndedEmbed(user, session, vodUrl).toJSON()] });
         } catch (error) {
-            console.error('Error sending webhook:', error);
+            console.error(`Error closing go-live message for ${user.username} on ${user.platform}:`, error.message);
         }
     }
 
-    generateLiveUrl(platform, username) {
-        const urls = {
-            youtube: this.generateYouTubeUrl(username),
-            twitch: `https://twitch.tv/${username}`,
-            tiktok: `https://tiktok.com/@${username}/live`,
-            kick: `https://kick.com/${username}`
-        };
-        return urls[platform] || '#';
+    buildEndedEmbed(user, session, vodUrl) {
+        const platformName = this.getPlatformName(user.platform);
+        const endedAt = new Date(session.lastSeenAt);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`⚫ ${user.displayName} was live`)
+            .setDescription(session.title || `${user.displayName} streamed on ${platformName}`)
+            .setColor(0x747F8D)
+            .addFields(
+                { name: 'Platform', value: platformName, inline: true },
+                { name: 'Duration', value: formatDuration(endedAt - new Date(session.startedAt)), inline: true }
+            )
+            .setTimestamp(endedAt);
+
+        if (session.category) {
+            embed.addFields({ name: 'Category', value: session.category, inline: true });
+        }
+
+        if (session.peakViewers) {
+            embed.addFields({ name: 'Peak Viewers', value: session.peakViewers.toLocaleString('en-US'), inline: true });
+        }
+
+        if (vodUrl) {
+            embed.setURL(vodUrl);
+            embed.addFields({ name: 'VOD', value: `[Watch the recording](${vodUrl})`, inline: false });
+        }
+
+        return embed;
+    }
+
+    async editNotification(notification, payload) {
+        if (notification.webhookUrl) {
+            await this.http.patch(webhookMessageUrl(notification.webhookUrl, notification.messageId), payload);
+            return;
+        }
+
+        const channel = await this.client.channels.fetch(notification.channelId);
+        await channel.messages.edit(notification.messageId, toMessageOptions(payload));
     }
 
-    generateYouTubeUrl(channelInput) {
-        // If it's a channel ID (starts with UC), use channel URL
-        if (channelInput.startsWith('UC')) {
-            return `https://youtube.com/channel/${channelInput}/live`;
+    async deleteNotification(notification) {
+        if (notification.webhookUrl) {
+            await this.http.delete(webhookMessageUrl(notification.webhookUrl, notification.messageId));
+            return;
         }
-        // Otherwise assume it's a username/handle
-        return `https://youtube.com/@${channelInput}/live`;
+
+        const channel = await this.client.channels.fetch(notification.channelId);
+        await channel.messages.delete(notification.messageId);
+    }
+
+    // WEBHOOK_URL is one channel in one server, so only the GUILD_ID server (and
+    // entries not yet assigned to a server) may fall back to it
+    getFallbackWebhook(guildId) {
+        const own = guildId === 'legacy' || guildId === this.config.DEFAULT_GUILD_ID;
+        return own ? this.config.WEBHOOK_URL || null : null;
     }
 
-    stop() {
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
+    // Returns where the message was posted so it can be found again, or null
+    async deliverNotification(guildId, payload) {
+        const settings = this.guildSettings.get(guildId);
+
+        try {
+            const webhookUrl = settings?.webhookUrl || (!settings?.channelId && this.getFallbackWebhook(guildId));
+
+            if (webhookUrl) {
+                // wait=true makes Discord return the created message
+                const response = await this.http.post(webhookUrl, payload, { params: { wait: true } });
+                return { messageId: response.data.id, channelId: response.data.channel_id, webhookUrl };
+            }
+
+            if (settings?.channelId) {
+                const channel = await this.client.channels.fetch(settings.channelId);
+                const message = await channel.send(toMessageOptions(payload));
+                return { messageId: message.id, channelId: channel.id, webhookUrl: null };
+            }
+
+            console.warn(`No notification channel configured for guild ${guildId}`);
+        } catch (error) {
+            console.error(`Error sending notification for guild ${guildId}:`, error.message);
         }
+        return null;
+    }
+
+    generateLiveUrl(user) {
+        const provider = this.providers.get(user.platform);
+        return provider ? provider.buildUrl(user) : '#';
+    }
+
+    getPlatformName(platform) {
+        return this.providers.get(platform)?.name || platform;
+    }
+
+    async stop() {
+        this.scheduler.stop();
+        await Promise.all(Array.from(this.providers.values()).map(provider => provider.stopPush()));
+        this.httpServer?.close();
         this.client.destroy();
+        await this.storage?.close();
     }
 }
 
-// Initialize and start the bot
-const bot = new StreamMonitorBot();
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Shutting down bot...');
-    bot.stop();
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    console.log('Shutting down bot...');
-    bot.stop();
-    process.exit(0);
-});
+module.exports = {
+    StreamMonitorBot,
+    CONFIG
+};
+
+// Initialize and start the bot when run directly rather than required by tests
+if (require.main === module) {
+    const bot = new StreamMonitorBot();
+    bot.init();
+
+    // Graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('Shutting down bot...');
+        await bot.stop();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', async () => {
+        console.log('Shutting down bot...');
+        await bot.stop();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,200 @@
+// Embedded HTTP server for health checks, Prometheus metrics and a small
+// admin API. /healthz and /metrics are open; /api/* needs
+// "Authorization: Bearer <HTTP_API_TOKEN>" and is disabled without a token.
+//
+//   GET    /healthz
+//   GET    /metrics
+//   GET    /api/guilds/{guildId}/streamers
+//   POST   /api/guilds/{guildId}/streamers                       { platform, username, displayName }
+//   DELETE /api/guilds/{guildId}/streamers/{platform}/{username}
+//
+// Platforms receiving push notifications register their own paths in
+// bot.webhooks; those handlers get the raw request body and check signatures
+// themselves.
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function readRawBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Compare tokens without leaking their contents through timing
+function tokenMatches(header, token) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) {
+        return false;
+    }
+
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+function streamerJson(bot, key, user) {
+    return {
+        platform: user.platform,
+        id: user.id,
+        username: user.username,
+        displayName: user.displayName,
+        addedAt: user.addedAt,
+        live: bot.streamSessions.has(key)
+    };
+}
+
+async function handleApi(bot, req, res, parts) {
+    // parts: ['api', 'guilds', guildId, 'streamers', platform?, username?]
+    if (parts[1] !== 'guilds' || !parts[2] || parts[3] !== 'streamers' || parts.length > 6) {
+        throw new HttpError(404, 'Not found');
+    }
+    const guildId = parts[2];
+
+    if (parts.length === 4 && req.method === 'GET') {
+        const streamers = bot.getGuildUsers(guildId).map(([key, user]) => streamerJson(bot, key, user));
+        sendJson(res, 200, { streamers });
+        return;
+    }
+
+    if (parts.length === 4 && req.method === 'POST') {
+        const { platform, username, displayName } = await readJsonBody(req);
+        if (typeof platform !== 'string' || typeof username !== 'string' || !username.trim()) {
+            throw new HttpError(400, 'platform and username are required');
+        }
+        if (!bot.providers.has(platform)) {
+            throw new HttpError(400, `Unsupported platform "${platform}"`);
+        }
+
+        const result = await bot.trackUser(guildId, platform, username.trim(), displayName || null);
+        if (result.status === 'duplicate') {
+            throw new HttpError(409, `${username} on ${platform} is already being monitored`);
+        }
+        if (result.status === 'invalid') {
+            throw new HttpError(422, result.message);
+        }
+
+        // A tracked account found under a new username is updated rather than added
+        sendJson(res, result.status === 'updated' ? 200 : 201, { streamer: streamerJson(bot, result.key, result.user), note: result.note || undefined });
+        return;
+    }
+
+    if (parts.length === 6 && req.method === 'DELETE') {
+        const removed = await bot.untrackUser(guildId, parts[4], parts[5]);
+        if (!removed) {
+            throw new HttpError(404, `${parts[5]} on ${parts[4]} is not being monitored`);
+        }
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+// Path segments, decoded
+function pathParts(pathname) {
+    try {
+        return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed path');
+    }
+}
+
+function createHttpServer(bot, { apiToken }) {
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const parts = pathParts(url.pathname);
+
+            if (url.pathname === '/healthz' && req.method === 'GET') {
+                const health = bot.getHealth();
+                sendJson(res, health.status === 'ok' ? 200 : 503, health);
+                return;
+            }
+
+            if (url.pathname === '/metrics' && req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+                res.end(bot.metrics.render());
+                return;
+            }
+
+            const webhook = bot.webhooks.get(url.pathname);
+            if (webhook) {
+                await webhook(req, res, await readRawBody(req));
+                return;
+            }
+
+            if (parts[0] === 'api') {
+                if (!apiToken) {
+                    throw new HttpError(403, 'The admin API is disabled; set HTTP_API_TOKEN to enable it');
+                }
+                if (!tokenMatches(req.headers.authorization, apiToken)) {
+                    throw new HttpError(401, 'Missing or invalid bearer token');
+                }
+                await handleApi(bot, req, res, parts);
+                return;
+            }
+
+            throw new HttpError(404, 'Not found');
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error(`HTTP ${req.method} ${req.url} failed:`, error);
+            }
+            if (!res.headersSent) {
+                sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error' });
+            }
+        }
+    });
+}
+
+module.exports = {
+    createHttpServer
+};
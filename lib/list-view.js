@@ -0,0 +1,79 @@
+// Paging, filtering and sorting for /list.
+//
+// The view state lives in the button custom IDs, so the buttons keep working
+// after a restart: list:<page>:<platform or *>:<live|all>:<sort>[:<button>]
+
+const LIST_PAGE_SIZE = 10;
+
+// Choices for the /list sort option
+const LIST_SORTS = {
+    name: 'Name',
+    added: 'Date added (newest first)',
+    live: 'Live duration (longest first)'
+};
+
+function encodeListState({ page, platform, liveOnly, sort }) {
+    return ['list', page, platform || '*', liveOnly ? 'live' : 'all', sort].join(':');
+}
+
+// null for custom IDs that aren't list buttons
+function parseListState(customId) {
+    const [prefix, page, platform, live, sort] = customId.split(':');
+    if (prefix !== 'list' || !LIST_SORTS[sort]) {
+        return null;
+    }
+
+    return {
+        page: Math.max(0, parseInt(page, 10) || 0),
+        platform: platform === '*' ? null : platform,
+        liveOnly: live === 'live',
+        sort
+    };
+}
+
+function byName(a, b) {
+    return a.user.displayName.localeCompare(b.user.displayName, undefined, { sensitivity: 'base', numeric: true });
+}
+
+// entries: [{ key, user, session }] where session is the live session or undefined.
+// Streamers that aren't live sort after live ones when sorting by live duration.
+function selectListEntries(entries, { platform, liveOnly, sort }) {
+    const selected = entries.filter(entry =>
+        (!platform || entry.user.platform === platform) && (!liveOnly || entry.session));
+
+    const compare = {
+        name: byName,
+        added: (a, b) => (Date.parse(b.user.addedAt) || 0) - (Date.parse(a.user.addedAt) || 0) || byName(a, b),
+        live: (a, b) => {
+            if (Boolean(a.session) !== Boolean(b.session)) {
+                return a.session ? -1 : 1;
+            }
+            if (!a.session) {
+                return byName(a, b);
+            }
+            return Date.parse(a.session.startedAt) - Date.parse(b.session.startedAt) || byName(a, b);
+        }
+    }[sort];
+
+    return selected.sort(compare);
+}
+
+// The requested page, moved back inside the list if entries were removed since
+function paginate(entries, page, pageSize = LIST_PAGE_SIZE) {
+    const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+    const current = Math.min(page, pageCount - 1);
+    return {
+        page: current,
+        pageCount,
+        items: entries.slice(current * pageSize, (current + 1) * pageSize)
+    };
+}
+
+module.exports = {
+    LIST_PAGE_SIZE,
+    LIST_SORTS,
+    encodeListState,
+    parseListState,
+    selectListEntries,
+    paginate
+};
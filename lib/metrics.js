@@ -0,0 +1,141 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the
+// text exposition format for the /metrics endpoint.
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Label sets are stored by their rendered form so equal labels share a series
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map(); // formatted labels -> { labels, value }
+    }
+
+    getSeries(labels) {
+        const key = formatLabels(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, value: 0 });
+        }
+        return this.series.get(key);
+    }
+
+    renderSamples() {
+        return Array.from(this.series.values()).map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, 'counter');
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels).value += amount;
+    }
+}
+
+// A gauge either holds values set directly or, with collect, reads them at
+// scrape time. collect returns [[labels, value], ...].
+class Gauge extends Metric {
+    constructor(name, help, collect = null) {
+        super(name, help, 'gauge');
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.getSeries(labels).value = value;
+    }
+
+    renderSamples() {
+        if (this.collect) {
+            this.series.clear();
+            for (const [labels, value] of this.collect()) {
+                this.set(labels, value);
+            }
+        }
+        return super.renderSamples();
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super(name, help, 'histogram');
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels);
+        if (!series.counts) {
+            series.counts = this.buckets.map(() => 0);
+            series.sum = 0;
+            series.count = 0;
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSamples() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsRegistry
+};
@@ -0,0 +1,31 @@
+// Pasted profile links for /track, e.g. https://www.twitch.tv/shroud/videos
+
+// The path segments when input is a link to one of hosts (www. and m.
+// prefixes ignored), otherwise null. A scheme is optional: 'kick.com/xqc' counts.
+function profilePath(input, hosts) {
+    const text = input.trim();
+    if (!/^(?:https?:\/\/)?(?:[\w-]+\.)+[a-z]{2,}\//i.test(text)) {
+        return null;
+    }
+
+    let url;
+    try {
+        url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    } catch (error) {
+        return null;
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^(?:www|m)\./, '');
+    if (!hosts.includes(host)) {
+        return null;
+    }
+    return url.pathname.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    });
+}
+
+module.exports = { profilePath };
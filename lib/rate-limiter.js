@@ -0,0 +1,20 @@
+// Spaces out calls so that at most one starts every minDelay milliseconds,
+// no matter how many callers are waiting concurrently
+class RateLimiter {
+    constructor(minDelay = 0) {
+        this.minDelay = minDelay;
+        this.nextSlot = 0;
+    }
+
+    async wait() {
+        const now = Date.now();
+        const startAt = Math.max(now, this.nextSlot);
+        this.nextSlot = startAt + this.minDelay;
+
+        if (startAt > now) {
+            await new Promise(resolve => setTimeout(resolve, startAt - now));
+        }
+    }
+}
+
+module.exports = RateLimiter;
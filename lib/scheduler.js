@@ -0,0 +1,95 @@
+// Runs named polling jobs on their own intervals. A job that is still
+// running when its next tick comes around is skipped rather than overlapped.
+// onRun(name, lastRun) is called after every run, e.g. to record metrics.
+// A run only counts as a success when its task resolves, so tasks should
+// throw when a cycle got nothing done.
+class PollingScheduler {
+    constructor({ onRun = null } = {}) {
+        this.jobs = new Map();
+        this.onRun = onRun;
+    }
+
+    schedule(name, interval, task) {
+        this.jobs.set(name, { name, interval, task, timer: null, running: false, lastRun: null, lastSuccess: null });
+    }
+
+    start() {
+        for (const job of this.jobs.values()) {
+            this.run(job.name);
+            job.timer = setInterval(() => this.run(job.name), job.interval);
+        }
+    }
+
+    // Change a job's interval, restarting its timer if the scheduler is running
+    setJobInterval(name, interval) {
+        const job = this.jobs.get(name);
+        if (!job || job.interval === interval) {
+            return;
+        }
+
+        job.interval = interval;
+        if (job.timer) {
+            clearInterval(job.timer);
+            job.timer = setInterval(() => this.run(job.name), job.interval);
+        }
+    }
+
+    async run(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            return;
+        }
+
+        if (job.running) {
+            console.log(`${name} checks are still running, skipping this cycle`);
+            return;
+        }
+
+        job.running = true;
+        const startedAt = Date.now();
+        try {
+            await job.task();
+            job.lastRun = { startedAt, finishedAt: Date.now(), ok: true };
+            job.lastSuccess = job.lastRun;
+        } catch (error) {
+            job.lastRun = { startedAt, finishedAt: Date.now(), ok: false };
+            console.error(`Error running ${name} checks:`, error);
+        } finally {
+            job.running = false;
+        }
+
+        if (this.onRun) {
+            this.onRun(name, job.lastRun);
+        }
+    }
+
+    stop() {
+        for (const job of this.jobs.values()) {
+            if (job.timer) {
+                clearInterval(job.timer);
+                job.timer = null;
+            }
+        }
+    }
+}
+
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    PollingScheduler,
+    mapWithConcurrency
+};
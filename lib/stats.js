@@ -0,0 +1,96 @@
+// Summaries of recorded stream sessions for /stats
+//
+// A history record is { guildId, platform, accountId, username, displayName,
+// startedAt, endedAt, durationMs, peakViewers, title, category }. Records from
+// before accounts were keyed by ID have no accountId. Weekdays and hours are
+// counted in UTC.
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Choices for the /stats range option, in days (null = everything recorded)
+const STATS_RANGES = {
+    '7d': { name: 'Last 7 days', days: 7 },
+    '30d': { name: 'Last 30 days', days: 30 },
+    '90d': { name: 'Last 90 days', days: 90 },
+    '365d': { name: 'Last year', days: 365 },
+    all: { name: 'All time', days: null }
+};
+
+// Records that started inside the range
+function filterByRange(records, range, now = Date.now()) {
+    const days = STATS_RANGES[range]?.days;
+    if (!days) {
+        return records;
+    }
+
+    const since = now - days * 24 * 60 * 60 * 1000;
+    return records.filter(record => new Date(record.startedAt).getTime() >= since);
+}
+
+// The value seen most often; ties go to the smallest value
+function mostCommon(values) {
+    const counts = new Map();
+    for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+
+    let best = null;
+    for (const [value, count] of counts) {
+        const bestCount = best === null ? 0 : counts.get(best);
+        if (count > bestCount || (count === bestCount && value < best)) {
+            best = value;
+        }
+    }
+    return best;
+}
+
+// { count, totalMs, averageMs, weekday, hour, longest }, or null without records
+function summarizeSessions(records) {
+    if (records.length === 0) {
+        return null;
+    }
+
+    const totalMs = records.reduce((sum, record) => sum + record.durationMs, 0);
+    const starts = records.map(record => new Date(record.startedAt));
+    const longest = records.reduce((a, b) => (b.durationMs > a.durationMs ? b : a));
+
+    return {
+        count: records.length,
+        totalMs,
+        averageMs: totalMs / records.length,
+        weekday: WEEKDAYS[mostCommon(starts.map(date => date.getUTCDay()))],
+        hour: mostCommon(starts.map(date => date.getUTCHours())),
+        longest
+    };
+}
+
+// Delete records that ended more than retentionMs ago from the history Map.
+// Returns how many were deleted; a retention of 0 keeps everything.
+function pruneHistory(history, retentionMs, now = Date.now()) {
+    if (!retentionMs) {
+        return 0;
+    }
+
+    let removed = 0;
+    for (const [key, record] of history) {
+        if (now - new Date(record.endedAt).getTime() > retentionMs) {
+            history.delete(key);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+// e.g. 12.5 hours
+function formatHours(ms) {
+    const hours = ms / (60 * 60 * 1000);
+    return `${hours.toFixed(1)} hours`;
+}
+
+module.exports = {
+    STATS_RANGES,
+    filterByRange,
+    summarizeSessions,
+    pruneHistory,
+    formatHours
+};
@@ -0,0 +1,29 @@
+// Storage backends for tracked users, guild settings and live state
+const JsonStore = require('./json-store');
+const SqliteStore = require('./sqlite-store');
+const { SCHEMA_VERSION } = require('./migrations');
+
+const BACKENDS = {
+    json: { Store: JsonStore, defaultFile: 'bot_data.json' },
+    sqlite: { Store: SqliteStore, defaultFile: 'bot_data.sqlite' }
+};
+
+function createStorage(config) {
+    const backend = BACKENDS[config.STORAGE_BACKEND];
+    if (!backend) {
+        throw new Error(`Unknown STORAGE_BACKEND "${config.STORAGE_BACKEND}" (use ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+
+    // Files from before the storage backends, imported once into a new store
+    const legacyFiles = {
+        users: config.DATA_FILE,
+        guilds: config.GUILD_DATA_FILE,
+        liveState: config.LIVE_STATE_FILE
+    };
+    return new backend.Store(config.STORAGE_FILE || backend.defaultFile, legacyFiles);
+}
+
+module.exports = {
+    createStorage,
+    SCHEMA_VERSION
+};
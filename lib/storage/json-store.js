@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const Store = require('./store');
+
+// Everything in one JSON file:
+// { "schemaVersion": 1, "collections": { "users": { key: value }, ... } }
+//
+// Each write goes to a temporary file that is renamed over the real one, so a
+// crash mid-write leaves the previous version intact.
+class JsonStore extends Store {
+    constructor(file, legacyFiles) {
+        super(legacyFiles);
+        this.file = file;
+        this.version = null;
+        this.data = {};
+    }
+
+    async read() {
+        let text;
+        try {
+            text = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${this.file} is not valid JSON (${error.message}). Restore it from a backup or move it away to start over.`);
+        }
+
+        const data = {};
+        for (const [name, entries] of Object.entries(document.collections || {})) {
+            data[name] = new Map(Object.entries(entries));
+        }
+
+        this.version = document.schemaVersion || 0;
+        this.data = data;
+        return { version: this.version, data };
+    }
+
+    async writeAll(version, data) {
+        this.version = version;
+        this.data = { ...data };
+        await this.flush();
+    }
+
+    async writeCollection(name, entries) {
+        this.data[name] = new Map(entries);
+        await this.flush();
+    }
+
+    async writeEntries(name, entries) {
+        this.data[name] = this.data[name] || new Map();
+        for (const [key, value] of entries) {
+            this.data[name].set(key, value);
+        }
+        await this.flush();
+    }
+
+    async flush() {
+        const document = { schemaVersion: this.version, collections: {} };
+        for (const [name, map] of Object.entries(this.data)) {
+            document.collections[name] = Object.fromEntries(map);
+        }
+
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(document, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempFile, this.file);
+    }
+}
+
+module.exports = JsonStore;
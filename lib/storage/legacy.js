@@ -0,0 +1,70 @@
+// One-time import of the files written before the storage backends existed.
+// Each held a JSON array of [key, value] pairs; live_state.json later became
+// { sessions, endedSessions } of such arrays.
+const fs = require('fs').promises;
+
+async function readJsonFile(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return undefined;
+        }
+        throw error;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON (${error.message}). Fix or move the file, then restart.`);
+    }
+}
+
+function toMap(file, entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error(`${file} is not a list of [key, value] entries. Fix or move the file, then restart.`);
+    }
+    return new Map(entries);
+}
+
+// Returns { data, files } with the collections found, or null when there is nothing to import
+async function readLegacyFiles({ users, guilds, liveState }) {
+    const data = {};
+    const files = [];
+
+    const userEntries = await readJsonFile(users);
+    if (userEntries !== undefined) {
+        data.users = toMap(users, userEntries);
+        files.push(users);
+    }
+
+    const guildEntries = await readJsonFile(guilds);
+    if (guildEntries !== undefined) {
+        data.guilds = toMap(guilds, guildEntries);
+        files.push(guilds);
+    }
+
+    const state = await readJsonFile(liveState);
+    if (state !== undefined) {
+        // Older files hold only the array of live sessions
+        const { sessions, endedSessions = [] } = Array.isArray(state) ? { sessions: state } : state || {};
+        data.sessions = toMap(liveState, sessions);
+        data.endedSessions = toMap(liveState, endedSessions);
+        files.push(liveState);
+    }
+
+    return files.length > 0 ? { data, files } : null;
+}
+
+// Keep the old files around, renamed so they are only imported once
+async function markImported(files) {
+    for (const file of files) {
+        await fs.rename(file, `${file}.imported`);
+    }
+}
+
+module.exports = {
+    readLegacyFiles,
+    markImported
+};
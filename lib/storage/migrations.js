@@ -0,0 +1,105 @@
+// Data migrations shared by every storage backend.
+//
+// Data is { collectionName: Map(key -> value) }. Each migration moves the data
+// from the previous version to its own; SCHEMA_VERSION is the newest. Stores
+// written before versioning (and the legacy JSON files) are version 0.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Scope tracked users to servers',
+        up(data) {
+            const users = new Map();
+            for (const [key, user] of data.users) {
+                if (user.guildId) {
+                    users.set(key, user);
+                    continue;
+                }
+
+                // Entries saved before guild scoping are adopted through GUILD_ID at startup
+                users.set(`legacy:${user.platform}:${user.username}`, { ...user, guildId: 'legacy' });
+            }
+            data.users = users;
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalize usernames and key tracked users by account ID',
+        up(data) {
+            // Keys are guildId:platform:id. YouTube channel IDs are known offline;
+            // Twitch and Kick IDs are looked up by the bot after loading, and until
+            // then those entries are keyed by their lowercased username.
+            const users = new Map();
+            const renamed = new Map();
+            for (const [key, user] of data.users) {
+                const { resolvedId, ...rest } = user;
+                const migrated = { ...rest, username: user.username.trim(), displayName: user.displayName || user.username };
+
+                if (user.platform === 'youtube') {
+                    const channelId = resolvedId || (/^UC[\w-]{22}$/.test(migrated.username) ? migrated.username : null);
+                    if (channelId) {
+                        migrated.id = channelId;
+                    }
+                    if (migrated.username.startsWith('@')) {
+                        migrated.username = migrated.username.toLowerCase();
+                    }
+                } else {
+                    migrated.username = migrated.username.replace(/^@/, '').toLowerCase();
+                    if (user.platform === 'tiktok') {
+                        migrated.id = migrated.username;
+                    }
+                }
+
+                // Names that only repeat the username follow the platform's name from now on
+                migrated.customName = migrated.displayName.replace(/^@/, '').toLowerCase() !== migrated.username.replace(/^@/, '').toLowerCase();
+
+                // Case variants of one account (Shroud and shroud) collapse into the first entry
+                const newKey = `${user.guildId}:${user.platform}:${migrated.id || migrated.username}`;
+                if (!users.has(newKey)) {
+                    users.set(newKey, migrated);
+                    renamed.set(key, newKey);
+                }
+            }
+            data.users = users;
+
+            for (const name of ['sessions', 'endedSessions']) {
+                const sessions = new Map();
+                for (const [key, session] of data[name]) {
+                    if (renamed.has(key)) {
+                        sessions.set(renamed.get(key), session);
+                    }
+                }
+                data[name] = sessions;
+            }
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Collections every version has, created empty when missing
+const COLLECTIONS = ['users', 'guilds', 'creators', 'sessions', 'endedSessions', 'history', 'subscriptions'];
+
+function migrate(data, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Stored data is schema version ${fromVersion}, but this version of the bot only understands up to ${SCHEMA_VERSION}`);
+    }
+
+    for (const name of COLLECTIONS) {
+        data[name] = data[name] || new Map();
+    }
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version > fromVersion) {
+            console.log(`Migrating stored data to version ${migration.version}: ${migration.description}`);
+            migration.up(data);
+        }
+    }
+    return data;
+}
+
+module.exports = {
+    MIGRATIONS,
+    SCHEMA_VERSION,
+    COLLECTIONS,
+    migrate
+};
@@ -0,0 +1,89 @@
+const Store = require('./store');
+
+// One row per collection entry, values stored as JSON. The schema version
+// lives in SQLite's user_version pragma; 0 means the database is new.
+class SqliteStore extends Store {
+    constructor(file, legacyFiles) {
+        super(legacyFiles);
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package: run yarn add better-sqlite3');
+        }
+
+        this.file = file;
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS entries (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (collection, key)
+            )
+        `);
+
+        this.insertEntry = this.db.prepare('INSERT INTO entries (collection, key, value) VALUES (?, ?, ?)');
+        this.upsertEntry = this.db.prepare('INSERT OR REPLACE INTO entries (collection, key, value) VALUES (?, ?, ?)');
+        this.clearCollection = this.db.prepare('DELETE FROM entries WHERE collection = ?');
+        this.replaceCollection = this.db.transaction((name, entries) => {
+            this.clearCollection.run(name);
+            for (const [key, value] of entries) {
+                this.insertEntry.run(name, key, JSON.stringify(value));
+            }
+        });
+        this.upsertEntries = this.db.transaction((name, entries) => {
+            for (const [key, value] of entries) {
+                this.upsertEntry.run(name, key, JSON.stringify(value));
+            }
+        });
+    }
+
+    async read() {
+        const version = this.db.pragma('user_version', { simple: true });
+        if (version === 0) {
+            return null;
+        }
+
+        const data = {};
+        for (const row of this.db.prepare('SELECT collection, key, value FROM entries').all()) {
+            let value;
+            try {
+                value = JSON.parse(row.value);
+            } catch (error) {
+                throw new Error(`${this.file} has an unreadable ${row.collection} entry "${row.key}" (${error.message})`);
+            }
+
+            data[row.collection] = data[row.collection] || new Map();
+            data[row.collection].set(row.key, value);
+        }
+        return { version, data };
+    }
+
+    async writeAll(version, data) {
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM entries');
+            for (const [name, map] of Object.entries(data)) {
+                this.replaceCollection(name, map);
+            }
+            this.db.pragma(`user_version = ${Number(version)}`);
+        })();
+    }
+
+    async writeCollection(name, entries) {
+        this.replaceCollection(name, entries);
+    }
+
+    async writeEntries(name, entries) {
+        this.upsertEntries(name, entries);
+    }
+
+    async close() {
+        await super.close();
+        this.db.close();
+    }
+}
+
+module.exports = SqliteStore;
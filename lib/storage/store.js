@@ -0,0 +1,70 @@
+const { SCHEMA_VERSION, migrate } = require('./migrations');
+const { readLegacyFiles, markImported } = require('./legacy');
+
+// Base class for storage backends. Data is a set of named collections, each a
+// Map of key -> JSON-serializable value. Backends implement:
+//   read()                      -> { version, data } or null for a new store
+//   writeAll(version, data)     replace everything and set the schema version
+//   writeCollection(name, entries)  replace one collection
+//   writeEntries(name, entries)     add or replace some entries
+class Store {
+    constructor(legacyFiles) {
+        this.legacyFiles = legacyFiles;
+        this.writes = Promise.resolve();
+    }
+
+    // Read, import legacy files into a new store, and migrate to SCHEMA_VERSION.
+    // Unreadable data throws instead of being replaced with an empty store.
+    async load() {
+        let stored = await this.read();
+        const created = !stored;
+        let imported = null;
+
+        if (created) {
+            imported = await readLegacyFiles(this.legacyFiles);
+            stored = imported ? { version: 0, data: imported.data } : { version: SCHEMA_VERSION, data: {} };
+        }
+
+        const data = migrate(stored.data, stored.version);
+
+        if (created || stored.version !== SCHEMA_VERSION) {
+            await this.writeAll(SCHEMA_VERSION, data);
+        }
+
+        if (imported) {
+            await markImported(imported.files);
+            console.log(`Imported ${imported.files.join(', ')} (renamed to *.imported)`);
+        }
+
+        // Callers get their own Maps so unsaved changes never leak into other writes
+        const copy = {};
+        for (const [name, map] of Object.entries(data)) {
+            copy[name] = new Map(map);
+        }
+        return copy;
+    }
+
+    // Replace a collection with the current contents of map. Writes run one at
+    // a time in the order they were requested.
+    save(name, map) {
+        const entries = Array.from(map.entries());
+        const write = this.writes.then(() => this.writeCollection(name, entries));
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    // Add or replace the entries in map, for collections that only grow
+    saveEntries(name, map) {
+        const entries = Array.from(map.entries());
+        const write = this.writes.then(() => this.writeEntries(name, entries));
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    // Wait for queued writes
+    async close() {
+        await this.writes;
+    }
+}
+
+module.exports = Store;
@@ -0,0 +1,79 @@
+// Viewer subscriptions: members who asked to hear about particular streamers.
+//
+// A subscription is stored per member and server under guildId:userId as
+// { guildId, userId, streamers: [tracked user key], delivery: 'dm' | 'mention',
+//   quietHours: null | { start, end, timeZone } } with hours 0-23.
+
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_MENTIONED_USERS = 100; // allowed_mentions.users limit
+
+function subscriptionKey(guildId, userId) {
+    return `${guildId}:${userId}`;
+}
+
+// Nothing worth storing: no streamers and the default settings
+function isEmptySubscription(subscription) {
+    return subscription.streamers.length === 0 && subscription.delivery === 'dm' && !subscription.quietHours;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Quiet hours run from start up to (not including) end and may wrap past midnight
+function isQuietTime(quietHours, date = new Date()) {
+    if (!quietHours || quietHours.start === quietHours.end) {
+        return false;
+    }
+
+    const hour = parseInt(new Intl.DateTimeFormat('en-US', {
+        timeZone: quietHours.timeZone,
+        hour: 'numeric',
+        hourCycle: 'h23'
+    }).format(date), 10);
+
+    return quietHours.start < quietHours.end
+        ? hour >= quietHours.start && hour < quietHours.end
+        : hour >= quietHours.start || hour < quietHours.end;
+}
+
+// e.g. 22:00-08:00 Europe/Berlin
+function formatQuietHours(quietHours) {
+    const hour = value => `${String(value).padStart(2, '0')}:00`;
+    return `${hour(quietHours.start)}-${hour(quietHours.end)} ${quietHours.timeZone}`;
+}
+
+// Follow-up messages that mention every user: [{ content, userIds }], each
+// within Discord's limits on message length and allowed user mentions
+function mentionBatches(prefix, userIds) {
+    const batches = [];
+    let batch = { content: prefix, userIds: [] };
+    for (const userId of userIds) {
+        const mention = ` <@${userId}>`;
+        if (batch.userIds.length === MAX_MENTIONED_USERS || batch.content.length + mention.length > MAX_CONTENT_LENGTH) {
+            batches.push(batch);
+            batch = { content: prefix, userIds: [] };
+        }
+        batch.content += mention;
+        batch.userIds.push(userId);
+    }
+
+    if (batch.userIds.length > 0) {
+        batches.push(batch);
+    }
+    return batches;
+}
+
+module.exports = {
+    subscriptionKey,
+    isEmptySubscription,
+    isValidTimeZone,
+    isQuietTime,
+    formatQuietHours,
+    mentionBatches
+};
@@ -0,0 +1,96 @@
+// Announcement templates for go-live messages
+//
+// A template is { message, mentionRoleId, mentionEveryone, color }. Guilds
+// have a default template and each tracked streamer can override it.
+
+const PLACEHOLDERS = {
+    name: 'Display name of the streamer',
+    username: 'Username on the platform',
+    platform: 'Platform name',
+    title: 'Stream title',
+    game: 'Game or category',
+    category: 'Game or category',
+    viewers: 'Current viewer count',
+    url: 'Link to the stream'
+};
+
+const COLOR_PATTERN = /^#?([0-9a-f]{6})$/i;
+const ROLE_MENTION_PATTERN = /<@&(\d+)>/g;
+
+// Values available to templates for a streamer and their current stream
+function templateValues(user, streamInfo, { platformName, url }) {
+    return {
+        name: user.displayName,
+        username: user.username,
+        platform: platformName,
+        title: streamInfo.title || '',
+        game: streamInfo.category || '',
+        category: streamInfo.category || '',
+        viewers: streamInfo.viewerCount !== null && streamInfo.viewerCount !== undefined
+            ? streamInfo.viewerCount.toLocaleString('en-US')
+            : '',
+        url
+    };
+}
+
+// Replace {placeholder}s; unknown placeholders are left as written
+function renderTemplate(message, values) {
+    return message
+        .replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match))
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+// IDs of the roles a template pings: the configured role and roles written into the message
+function templateRoleIds(template) {
+    const roles = new Set(template.mentionRoleId ? [template.mentionRoleId] : []);
+    for (const [, roleId] of (template.message || '').matchAll(ROLE_MENTION_PATTERN)) {
+        roles.add(roleId);
+    }
+    return Array.from(roles);
+}
+
+// Content and allowed_mentions for a rendered template. Only the configured
+// role, roles written into the template, and @everyone when explicitly enabled
+// can ping; anything else in stream titles stays inert.
+function buildAnnouncement(template, values) {
+    if (!template?.message && !template?.mentionRoleId && !template?.mentionEveryone) {
+        return { content: undefined, allowedMentions: { parse: [] } };
+    }
+
+    const parts = [];
+    if (template.mentionEveryone) {
+        parts.push('@everyone');
+    }
+    if (template.mentionRoleId) {
+        parts.push(`<@&${template.mentionRoleId}>`);
+    }
+    if (template.message) {
+        parts.push(renderTemplate(template.message, values));
+    }
+
+    const content = parts.join(' ').slice(0, 2000);
+
+    return {
+        content,
+        allowedMentions: {
+            parse: template.mentionEveryone ? ['everyone'] : [],
+            roles: templateRoleIds(template)
+        }
+    };
+}
+
+// "#ff0000" or "ff0000" -> 0xff0000, or null when not a hex color
+function parseColor(value) {
+    const match = COLOR_PATTERN.exec(value || '');
+    return match ? parseInt(match[1], 16) : null;
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    templateValues,
+    renderTemplate,
+    templateRoleIds,
+    buildAnnouncement,
+    parseColor
+};
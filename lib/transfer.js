@@ -0,0 +1,115 @@
+// Tracked-list files for /export and /import.
+//
+// JSON: [{ "platform": "twitch", "username": "ninja", "displayName": "Ninja" }, ...]
+// CSV:  platform,username,display_name with a header row
+
+const CSV_COLUMNS = ['platform', 'username', 'display_name'];
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Split CSV text into rows of fields, honouring quoted fields
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function exportUsers(users, format) {
+    const rows = users.map(user => ({
+        platform: user.platform,
+        username: user.username,
+        displayName: user.displayName
+    }));
+
+    if (format === 'csv') {
+        const lines = rows.map(row => [row.platform, row.username, row.displayName].map(csvField).join(','));
+        return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+    }
+    return JSON.stringify(rows, null, 2) + '\n';
+}
+
+// Returns [{ row, platform, username, displayName }] where row is the entry's
+// position in the file (CSV counts the header as row 1). Throws when the file
+// can't be read at all.
+function parseImport(text, format) {
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON (${error.message})`);
+        }
+        if (!Array.isArray(data)) {
+            throw new Error('The JSON file must contain a list of streamers');
+        }
+
+        return data.map((entry, i) => ({
+            row: i + 1,
+            platform: String(entry?.platform || '').trim().toLowerCase(),
+            username: String(entry?.username || '').trim(),
+            displayName: String(entry?.displayName || entry?.display_name || '').trim()
+        }));
+    }
+
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    const platformColumn = columns.indexOf('platform');
+    const usernameColumn = columns.indexOf('username');
+    const displayNameColumn = columns.indexOf('display_name');
+
+    if (platformColumn === -1 || usernameColumn === -1) {
+        throw new Error(`The CSV file needs a header row with ${CSV_COLUMNS.join(',')}`);
+    }
+
+    return rows.map((fields, i) => ({
+        row: i + 2,
+        platform: (fields[platformColumn] || '').trim().toLowerCase(),
+        username: (fields[usernameColumn] || '').trim(),
+        displayName: displayNameColumn === -1 ? '' : (fields[displayNameColumn] || '').trim()
+    }));
+}
+
+module.exports = {
+    exportUsers,
+    parseImport
+};
@@ -0,0 +1,154 @@
+// Base class for streaming platform providers
+//
+// Each platform lives in its own module in this directory and extends
+// PlatformProvider. Providers are discovered automatically by platforms/index.js,
+// so adding a platform only means adding a file here.
+const axios = require('axios');
+const RateLimiter = require('../lib/rate-limiter');
+
+class PlatformProvider {
+    constructor(config, { id, name, color = 0xFF0000, order = 100, polling = {} }) {
+        this.config = config;
+        this.id = id; // Value stored on tracked users and used in slash command choices
+        this.name = name; // Human readable platform name
+        this.color = color; // Embed color for notifications
+        this.order = order; // Position in platform lists and slash command choices
+        this.http = config.HTTP_CLIENT || axios; // axios-compatible client for every request the provider makes
+
+        // How the scheduler polls this platform:
+        // interval - time between check cycles, overridable per platform with PLATFORM_CHECK_INTERVALS
+        // concurrency - checkLiveMany calls in flight at once
+        // batchSize - users passed to each checkLiveMany call
+        // minDelay - minimum time between the start of two calls
+        // pushInterval - slower safety-net interval used while push notifications are active
+        this.polling = {
+            interval: config.CHECK_INTERVAL,
+            concurrency: 4,
+            batchSize: 1,
+            minDelay: 0,
+            pushInterval: config.PUSH_POLL_INTERVAL,
+            ...polling
+        };
+        if (config.PLATFORM_CHECK_INTERVALS?.[id]) {
+            this.polling.interval = config.PLATFORM_CHECK_INTERVALS[id];
+        }
+        this.rateLimiter = new RateLimiter(this.polling.minDelay);
+    }
+
+    // Turn what was typed or pasted (a profile link, @handle or name) into the
+    // username validate() expects. Returns '' when nothing usable is left.
+    normalize(input) {
+        return input.trim();
+    }
+
+    // Check that an account exists before it is tracked
+    // Returns { valid, message?, note?, id?, username?, displayName? }:
+    //   id          - the account's immutable ID, which the bot keys the entry by;
+    //                 platforms without one are keyed by the normalized username
+    //   username    - the account's current username or handle, used in links
+    //   displayName - the name the platform shows, used unless /track gives one
+    async validate(username) {
+        return { valid: true };
+    }
+
+    // Current names of accounts tracked by ID, for picking up renames.
+    // Returns Map(id -> { username, displayName }); accounts missing from it are left alone.
+    async getAccounts(users) {
+        return new Map();
+    }
+
+    // Accounts matching a partial name, for /track autocomplete.
+    // Returns up to 10 of { username, label }; username is what /track stores.
+    async search(query) {
+        return [];
+    }
+
+    // Turn user input into the platform's stable identifier
+    async resolveId(username) {
+        return username;
+    }
+
+    // Returns a stream info object, built with liveInfo(), offline() or unknown()
+    async checkLive(user) {
+        throw new Error(`${this.name} provider does not implement checkLive`);
+    }
+
+    // Check several users in one go; returns stream infos in the same order.
+    // Platforms with batch endpoints override this.
+    async checkLiveMany(users) {
+        const results = [];
+        for (const user of users) {
+            try {
+                results.push(await this.checkLive(user));
+            } catch (error) {
+                console.error(`Error checking ${user.username} on ${this.name}:`, error.message);
+                results.push(this.unknown());
+            }
+        }
+        return results;
+    }
+
+    // Normalized result for a live stream; fields the platform does not expose stay null
+    // streamId is the platform's ID for this broadcast, used to find its VOD
+    liveInfo({ streamId = null, title = null, category = null, thumbnailUrl = null, viewerCount = null, startedAt = null } = {}) {
+        return {
+            status: 'live',
+            streamId: streamId !== null ? String(streamId) : null,
+            title,
+            category,
+            thumbnailUrl,
+            viewerCount: Number.isFinite(viewerCount) ? viewerCount : null,
+            startedAt: startedAt ? new Date(startedAt).toISOString() : null
+        };
+    }
+
+    offline() {
+        return { status: 'offline' };
+    }
+
+    // The check failed or was blocked, so the stream state is not known.
+    // Callers keep whatever state they had instead of treating this as offline.
+    unknown() {
+        return { status: 'unknown' };
+    }
+
+    // Link to the recording of an ended session, or null if there is none
+    async getVodUrl(user, session) {
+        return null;
+    }
+
+    // Push notifications (optional). Providers that can be told about stream
+    // changes override these. startPush receives hooks:
+    //   registerWebhook(path, handler)  - handler(req, res, rawBody) is served by the HTTP server
+    //   onStreamEvent(accountId, event) - accountId as returned by accountId(user); event is
+    //                                     { status: 'online', info, verified } or { status: 'offline', streamId }.
+    //                                     Online events are confirmed with a status check unless
+    //                                     verified is set; offline events with a streamId only end
+    //                                     that stream.
+    //   onPushStateChange(active)       - while active the platform is polled at polling.pushInterval
+    // and returns true when push is enabled.
+    async startPush(hooks) {
+        return false;
+    }
+
+    // The tracked accounts changed; bring push subscriptions in line with users
+    async syncPush(users) {}
+
+    async stopPush() {}
+
+    // The same account tracked by several guilds shares one ID
+    accountId(user) {
+        return user.id || user.username.toLowerCase();
+    }
+
+    // Extra embed fields for /status, such as API usage
+    getStatusFields() {
+        return [];
+    }
+
+    buildUrl(user) {
+        return '#';
+    }
+}
+
+module.exports = PlatformProvider;
@@ -0,0 +1,39 @@
+// Platform provider registry
+const fs = require('fs');
+const path = require('path');
+const PlatformProvider = require('./base-provider');
+
+// Instantiate every provider module found in this directory, in provider order
+function loadProviders(config) {
+    const providers = new Map();
+
+    const files = fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort();
+
+    for (const file of files) {
+        const Provider = require(path.join(__dirname, file));
+        if (typeof Provider !== 'function' || !(Provider.prototype instanceof PlatformProvider)) {
+            continue;
+        }
+
+        const provider = new Provider(config);
+        if (providers.has(provider.id)) {
+            throw new Error(`Duplicate platform provider id "${provider.id}" in ${file}`);
+        }
+        providers.set(provider.id, provider);
+    }
+
+    return new Map(Array.from(providers).sort(([, a], [, b]) => a.order - b.order));
+}
+
+// Slash command choices for the platform option
+function getPlatformChoices(providers) {
+    return Array.from(providers.values()).map(provider => ({ name: provider.name, value: provider.id }));
+}
+
+module.exports = {
+    PlatformProvider,
+    loadProviders,
+    getPlatformChoices
+};
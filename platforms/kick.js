@@ -0,0 +1,236 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const PlatformProvider = require('./base-provider');
+const { profilePath } = require('../lib/profile-links');
+
+const execFileAsync = promisify(execFile);
+
+const BASE_URL = 'https://kick.com';
+
+// Kick channel slugs are letters, numbers, underscores and hyphens
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Request variants tried in order until one gets a usable answer. Override
+// with a JSON file of the same shape through KICK_STRATEGIES_FILE.
+const DEFAULT_STRATEGIES = [
+    {
+        name: 'v2 API with full headers',
+        path: '/api/v2/channels/{slug}',
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', 'Accept': 'application/json' }
+    },
+    {
+        name: 'v1 API with full headers',
+        path: '/api/v1/channels/{slug}',
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', 'Accept': 'application/json' }
+    },
+    {
+        name: 'v2 API with different UA',
+        path: '/api/v2/channels/{slug}',
+        headers: { 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36', 'Accept': 'application/json' }
+    },
+    {
+        name: 'v2 API mobile headers',
+        path: '/api/v2/channels/{slug}',
+        headers: { 'User-Agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15', 'Accept': 'application/json' }
+    }
+];
+
+// In-process request through the provider's HTTP client; never throws on HTTP status
+async function httpTransport(http, url, headers, timeout) {
+    const response = await http.get(url, {
+        headers,
+        timeout,
+        responseType: 'text',
+        transformResponse: [body => body],
+        validateStatus: () => true
+    });
+    return { status: response.status, body: response.data };
+}
+
+// curl with an argument array (no shell), for hosts where Kick blocks Node's TLS fingerprint
+async function curlTransport(url, headers, timeout) {
+    const args = ['-s', '--max-time', String(Math.ceil(timeout / 1000)), '-w', '\n%{http_code}'];
+    for (const [name, value] of Object.entries(headers)) {
+        args.push('-H', `${name}: ${value}`);
+    }
+    args.push('--', url);
+
+    const { stdout } = await execFileAsync('curl', args, { maxBuffer: 5 * 1024 * 1024 });
+    const separator = stdout.lastIndexOf('\n');
+    return { status: parseInt(stdout.slice(separator + 1), 10), body: stdout.slice(0, separator) };
+}
+
+// Kick sends UTC times as "2024-01-01 18:30:00" without a zone
+function parseKickTime(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return `${value.replace(' ', 'T')}Z`;
+    }
+    return value || null;
+}
+
+function loadStrategies(file) {
+    if (!file) {
+        return DEFAULT_STRATEGIES;
+    }
+
+    const strategies = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(strategies) || strategies.some(strategy => !strategy.path?.includes('{slug}'))) {
+        throw new Error(`${file} must be an array of strategies with a path containing {slug}`);
+    }
+    return strategies;
+}
+
+class KickProvider extends PlatformProvider {
+    constructor(config) {
+        super(config, {
+            id: 'kick',
+            name: 'Kick',
+            order: 4,
+            color: 0x53FC18,
+            // Kick blocks bursts of requests, so check one channel every 3 seconds
+            polling: { concurrency: 1, minDelay: 3000 }
+        });
+        this.strategies = loadStrategies(config.KICK_STRATEGIES_FILE);
+        this.transport = config.KICK_TRANSPORT === 'curl' ? curlTransport : httpTransport.bind(null, this.http);
+        this.baseUrl = config.KICK_BASE_URL || BASE_URL;
+    }
+
+    // xqc, @xQc or https://kick.com/xqc -> xqc
+    normalize(input) {
+        const path = profilePath(input, ['kick.com']);
+        const slug = path ? path[0] || '' : input.trim();
+        return slug.replace(/^@/, '').toLowerCase();
+    }
+
+    // Checks go by slug, as Kick has no lookup by channel ID. Tracking a renamed
+    // channel's new slug finds the entry by ID and updates its slug.
+    async validate(username) {
+        if (!SLUG_PATTERN.test(username)) {
+            return {
+                valid: false,
+                message: `"${username}" is not a valid Kick username (letters, numbers, _ and - only)`
+            };
+        }
+
+        const result = await this.fetchChannel(username, 10000);
+
+        if (!result) {
+            return {
+                valid: false,
+                message: `Could not reach Kick to validate "${username}" - try again later`
+            };
+        }
+
+        if (!result.channel) {
+            return {
+                valid: false,
+                message: `Kick channel "${username}" not found`
+            };
+        }
+
+        return {
+            valid: true,
+            id: String(result.channel.id),
+            username: result.channel.slug,
+            displayName: result.channel.user?.username || result.channel.slug
+        };
+    }
+
+    async checkLive(user) {
+        const username = user.username;
+
+        if (!SLUG_PATTERN.test(username)) {
+            console.error(`Skipping invalid Kick username: ${username}`);
+            return this.offline();
+        }
+
+        const result = await this.fetchChannel(username, 15000);
+
+        if (!result) {
+            console.error(`❌ All Kick strategies failed for ${username} - platform may be temporarily blocking requests`);
+            return this.unknown();
+        }
+
+        // Kick can only be asked by slug, so a channel renamed mid-stream
+        // looks missing; that must not end the session
+        if (!result.channel) {
+            console.error(`Kick channel ${username} not found`);
+            return this.unknown();
+        }
+
+        // Check if the channel has an active livestream
+        const livestream = result.channel.livestream;
+        if (!livestream) {
+            return this.offline();
+        }
+
+        return this.liveInfo({
+            streamId: livestream.id,
+            title: livestream.session_title || null,
+            category: livestream.categories?.[0]?.name || null,
+            thumbnailUrl: livestream.thumbnail?.url || null,
+            viewerCount: livestream.viewer_count,
+            startedAt: parseKickTime(livestream.start_time || livestream.created_at)
+        });
+    }
+
+    // Try each strategy until one answers. Returns { channel } on success,
+    // { channel: null } when Kick says the channel doesn't exist, or null when
+    // every strategy was blocked or failed.
+    async fetchChannel(slug, timeout) {
+        for (const strategy of this.strategies) {
+            const url = `${this.baseUrl}${strategy.path.replace('{slug}', encodeURIComponent(slug))}`;
+
+            try {
+                console.log(`Kick: Trying ${strategy.name} for ${slug}...`);
+                const { status, body } = await this.transport(url, strategy.headers || {}, timeout);
+
+                if (status === 404) {
+                    return { channel: null };
+                }
+
+                if (status !== 200 || !body || body.trim() === '') {
+                    console.log(`${strategy.name} returned ${status || 'no response'} for ${slug}`);
+                    continue; // Try next strategy
+                }
+
+                let channelData;
+                try {
+                    channelData = JSON.parse(body);
+                } catch (parseError) {
+                    // Usually a bot-protection HTML page
+                    console.log(`Failed to parse response from ${strategy.name}:`, parseError.message);
+                    continue; // Try next strategy
+                }
+
+                if (channelData.error) {
+                    console.log(`${strategy.name} blocked for ${slug}:`, channelData.error);
+                    continue; // Try next strategy
+                }
+
+                if (!channelData.id || !channelData.slug) {
+                    console.log(`${strategy.name} returned unexpected channel data for ${slug}`);
+                    continue; // Try next strategy
+                }
+
+                console.log(`✅ Kick success (${strategy.name}) for ${slug}:`, {
+                    id: channelData.id,
+                    slug: channelData.slug,
+                    livestream: channelData.livestream ? 'Active' : 'None'
+                });
+                return { channel: channelData };
+            } catch (error) {
+                console.log(`${strategy.name} request error for ${slug}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    buildUrl(user) {
+        return `https://kick.com/${user.username}`;
+    }
+}
+
+module.exports = KickProvider;
@@ -0,0 +1,114 @@
+// Parsers for the JSON state TikTok embeds in its pages.
+//
+// Pages carry either a SIGI_STATE script (older layout) or a
+// __UNIVERSAL_DATA_FOR_REHYDRATION__ script (newer layout). Both are plain
+// JSON, so reading them is far more reliable than guessing from markup.
+const cheerio = require('cheerio');
+
+// liveRoom.status values used by TikTok
+const ROOM_STATUS_LIVE = 2;
+
+// webapp.user-detail statusCode for accounts that don't exist or were banned
+const USER_NOT_FOUND_CODES = [10202, 10221, 10222, 10223];
+
+function readJsonScript($, id) {
+    const text = $(`script#${id}`).html();
+    if (!text) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Returns { sigi, universal }, or null when the page has no embedded state
+// (typically a captcha or bot-check page)
+function extractEmbeddedState(html) {
+    const $ = cheerio.load(html);
+    const sigi = readJsonScript($, 'SIGI_STATE');
+    const universal = readJsonScript($, '__UNIVERSAL_DATA_FOR_REHYDRATION__');
+
+    if (!sigi && !universal) {
+        return null;
+    }
+    return { sigi, universal };
+}
+
+function findLiveRoomUserInfo(state) {
+    if (state.sigi?.LiveRoom?.liveRoomUserInfo) {
+        return state.sigi.LiveRoom.liveRoomUserInfo;
+    }
+
+    const scopes = state.universal?.__DEFAULT_SCOPE__ || {};
+    for (const scope of Object.values(scopes)) {
+        if (scope?.liveRoomUserInfo) {
+            return scope.liveRoomUserInfo;
+        }
+    }
+    return null;
+}
+
+// Parse a /@user/live page. Returns null when the state is missing (the
+// result is unknown), otherwise { live, roomId, title, viewerCount,
+// thumbnailUrl, startedAt }.
+function parseLivePage(html) {
+    const state = extractEmbeddedState(html);
+    if (!state) {
+        return null;
+    }
+
+    const info = findLiveRoomUserInfo(state);
+    const user = info?.user || {};
+    const room = info?.liveRoom || {};
+    const roomId = user.roomId || room.roomId || null;
+
+    // A room ID alone also appears for ended streams; only status 2 is live
+    const live = Boolean(roomId) && (room.status === ROOM_STATUS_LIVE || user.status === ROOM_STATUS_LIVE);
+
+    return {
+        live,
+        roomId,
+        title: room.title || null,
+        viewerCount: room.liveRoomStats?.userCount ?? null,
+        thumbnailUrl: room.coverUrl || null,
+        startedAt: room.startTime ? new Date(room.startTime * 1000).toISOString() : null
+    };
+}
+
+// Parse a /@user profile page. Returns null when the state is missing,
+// otherwise { exists, id, uniqueId, nickname }.
+function parseProfilePage(html) {
+    const state = extractEmbeddedState(html);
+    if (!state) {
+        return null;
+    }
+
+    const detail = state.universal?.__DEFAULT_SCOPE__?.['webapp.user-detail'];
+    if (detail) {
+        const user = detail.userInfo?.user;
+        if (USER_NOT_FOUND_CODES.includes(detail.statusCode) || !user?.id) {
+            return { exists: false };
+        }
+        return { exists: true, id: user.id, uniqueId: user.uniqueId, nickname: user.nickname };
+    }
+
+    const users = state.sigi?.UserModule?.users;
+    if (users) {
+        const user = Object.values(users)[0];
+        return user?.id
+            ? { exists: true, id: user.id, uniqueId: user.uniqueId, nickname: user.nickname }
+            : { exists: false };
+    }
+
+    // State from a layout we don't know about
+    return null;
+}
+
+module.exports = {
+    extractEmbeddedState,
+    parseLivePage,
+    parseProfilePage
+};
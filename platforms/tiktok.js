@@ -0,0 +1,132 @@
+const PlatformProvider = require('./base-provider');
+const { parseLivePage, parseProfilePage } = require('./tiktok-state');
+const { profilePath } = require('../lib/profile-links');
+
+const BASE_URL = 'https://www.tiktok.com';
+
+// TikTok only serves its embedded page state to browser-like requests
+const REQUEST_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache'
+};
+
+class TikTokProvider extends PlatformProvider {
+    constructor(config) {
+        super(config, {
+            id: 'tiktok',
+            name: 'TikTok',
+            order: 3,
+            color: 0xFE2C55,
+            polling: { concurrency: 3, minDelay: 1000 }
+        });
+        this.baseUrl = config.TIKTOK_BASE_URL || BASE_URL;
+    }
+
+    // charlidamelio, @CharliDAmelio or https://www.tiktok.com/@charlidamelio/live -> charlidamelio.
+    // Checks go by username, so entries are keyed by it rather than TikTok's user ID.
+    normalize(input) {
+        const path = profilePath(input, ['tiktok.com']);
+        const username = path ? (path[0]?.startsWith('@') ? path[0] : '') : input.trim();
+        return username.replace(/^@/, '').toLowerCase();
+    }
+
+    async validate(username) {
+        try {
+            const response = await this.fetchPage(`${this.baseUrl}/@${encodeURIComponent(username)}`);
+            const profile = parseProfilePage(response.data);
+
+            if (!profile) {
+                return {
+                    valid: false,
+                    message: `Could not verify TikTok user "${username}" - TikTok may be blocking requests, try again later`
+                };
+            }
+
+            if (!profile.exists) {
+                return { valid: false, message: `TikTok user "${username}" not found` };
+            }
+
+            return {
+                valid: true,
+                username: profile.uniqueId ? profile.uniqueId.toLowerCase() : username,
+                displayName: profile.nickname || undefined,
+                note: profile.nickname ? `Found ${profile.nickname} (@${profile.uniqueId})` : ''
+            };
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return { valid: false, message: `TikTok user "${username}" not found` };
+            }
+            return { valid: false, message: `Error validating TikTok user: ${error.response?.status || error.message}` };
+        }
+    }
+
+    async checkLive(user) {
+        const username = user.username;
+
+        try {
+            // TikTok doesn't have a public API, so read the state embedded in the live page
+            const response = await this.fetchPage(`${this.baseUrl}/@${encodeURIComponent(username)}/live`);
+
+            // TikTok redirects to the profile when there is no live room
+            const finalUrl = response.request?.res?.responseUrl;
+            if (finalUrl && !finalUrl.includes('/live')) {
+                return this.offline();
+            }
+
+            const room = parseLivePage(response.data);
+            if (!room) {
+                console.error(`TikTok page for ${username} had no embedded state - request was probably blocked`);
+                return this.unknown();
+            }
+
+            console.log(`TikTok live check for ${username}: ${room.live ? `LIVE (room ${room.roomId})` : 'NOT LIVE'}`);
+
+            if (!room.live) {
+                return this.offline();
+            }
+
+            return this.liveInfo({
+                streamId: room.roomId,
+                title: room.title,
+                thumbnailUrl: room.thumbnailUrl,
+                viewerCount: room.viewerCount,
+                startedAt: room.startedAt
+            });
+        } catch (error) {
+            if (error.response?.status === 404) {
+                console.error(`TikTok user ${username} not found (404)`);
+                return this.offline();
+            } else if (error.response?.status === 403) {
+                console.error(`TikTok blocked request for ${username} (403) - might need to use proxy`);
+            } else if (error.code === 'ECONNABORTED') {
+                console.error(`TikTok request timeout for ${username}`);
+            } else {
+                console.error(`TikTok API error for ${username}:`, error.response?.status || error.message);
+            }
+            return this.unknown();
+        }
+    }
+
+    async fetchPage(url) {
+        return await this.http.get(url, {
+            headers: REQUEST_HEADERS,
+            timeout: 15000, // 15 second timeout
+            maxRedirects: 5
+        });
+    }
+
+    buildUrl(user) {
+        return `https://tiktok.com/@${user.username}/live`;
+    }
+}
+
+module.exports = TikTokProvider;
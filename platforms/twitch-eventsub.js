@@ -0,0 +1,387 @@
+// Twitch EventSub client for stream.online / stream.offline.
+//
+// Two transports are supported:
+//   webhook   - Twitch POSTs signed notifications to TWITCH_EVENTSUB_CALLBACK_URL,
+//               served by the bot's HTTP server. Uses the app access token.
+//   websocket - the bot holds a WebSocket open to Twitch. Subscriptions are tied
+//               to the connection and need a user access token (TWITCH_USER_TOKEN).
+//
+// Subscriptions are reconciled against the tracked user IDs whenever the list
+// changes and every few minutes. EventSub only counts as active while every
+// subscription is enabled; until then the platform keeps its normal polling.
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const WEBSOCKET_URL = 'wss://eventsub.wss.twitch.tv/ws';
+const SUBSCRIPTION_TYPES = ['stream.online', 'stream.offline'];
+const MAX_MESSAGE_AGE = 10 * 60 * 1000; // Twitch recommends rejecting older messages
+const MAX_SEEN_MESSAGES = 1000;
+const AUDIT_INTERVAL = 5 * 60 * 1000;
+const PENDING_RECHECK_DELAY = 30 * 1000;
+const MIN_RECONNECT_DELAY = 5 * 1000;
+const MAX_RECONNECT_DELAY = 5 * 60 * 1000;
+
+// Twitch-Eventsub-Message-Signature is sha256=HMAC(secret, id + timestamp + raw body)
+function signMessage(secret, messageId, timestamp, rawBody) {
+    return 'sha256=' + crypto.createHmac('sha256', secret)
+        .update(messageId + timestamp)
+        .update(rawBody)
+        .digest('hex');
+}
+
+function verifySignature(secret, headers, rawBody) {
+    const messageId = headers['twitch-eventsub-message-id'];
+    const timestamp = headers['twitch-eventsub-message-timestamp'];
+    const signature = headers['twitch-eventsub-message-signature'];
+    if (!messageId || !timestamp || !signature) {
+        return false;
+    }
+
+    const expected = Buffer.from(signMessage(secret, messageId, timestamp, rawBody));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+class TwitchEventSub {
+    constructor(provider, { mode, secret, callbackUrl, userToken, websocketUrl }) {
+        this.provider = provider;
+        this.mode = mode;
+        this.secret = secret;
+        this.callbackUrl = callbackUrl;
+        this.userToken = userToken;
+        this.websocketUrl = websocketUrl || WEBSOCKET_URL;
+
+        this.hooks = null;
+        this.active = false;
+        this.userIds = [];
+        this.subscriptionCount = 0;
+        this.seenMessages = new Set();
+        this.syncing = null;
+        this.resyncRequested = false;
+        this.auditTimer = null;
+        this.recheckTimer = null;
+
+        // WebSocket transport
+        this.socket = null;
+        this.sessionId = null;
+        this.keepaliveTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = MIN_RECONNECT_DELAY;
+        this.stopped = false;
+    }
+
+    async start(hooks) {
+        this.hooks = hooks;
+
+        if (this.mode === 'webhook') {
+            hooks.registerWebhook(new URL(this.callbackUrl).pathname, (req, res, rawBody) => this.handleWebhook(req, res, rawBody));
+        } else {
+            this.connect(this.websocketUrl);
+        }
+
+        this.auditTimer = setInterval(() => this.sync(), AUDIT_INTERVAL);
+    }
+
+    stop() {
+        this.stopped = true;
+        clearInterval(this.auditTimer);
+        clearTimeout(this.recheckTimer);
+        clearTimeout(this.keepaliveTimer);
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    // Reconcile subscriptions with the tracked user IDs. Calls made while a
+    // reconcile is running are folded into one more pass afterwards.
+    sync(userIds = this.userIds) {
+        this.userIds = userIds;
+        if (this.syncing) {
+            this.resyncRequested = true;
+            return this.syncing;
+        }
+
+        this.syncing = this.runSyncs().finally(() => {
+            this.syncing = null;
+        });
+        return this.syncing;
+    }
+
+    async runSyncs() {
+        try {
+            do {
+                this.resyncRequested = false;
+                await this.reconcile();
+            } while (this.resyncRequested && !this.stopped);
+        } catch (error) {
+            console.error('Twitch EventSub sync failed, polling instead:', error.response?.data?.message || error.message);
+            this.setActive(false);
+        }
+    }
+
+    async reconcile() {
+        if (this.stopped || (this.mode === 'websocket' && !this.sessionId)) {
+            return;
+        }
+
+        const wanted = new Map();
+        for (const id of this.userIds) {
+            for (const type of SUBSCRIPTION_TYPES) {
+                wanted.set(`${type}:${id}`, { type, id });
+            }
+        }
+
+        let allEnabled = true;
+        let count = 0;
+        for (const subscription of await this.listSubscriptions()) {
+            const key = `${subscription.type}:${subscription.condition.broadcaster_user_id}`;
+            const usable = subscription.status === 'enabled' || subscription.status === 'webhook_callback_verification_pending';
+
+            if (usable && wanted.has(key)) {
+                wanted.delete(key);
+                count++;
+                allEnabled = allEnabled && subscription.status === 'enabled';
+            } else {
+                await this.request('delete', '/eventsub/subscriptions', { params: { id: subscription.id } });
+            }
+        }
+
+        for (const { type, id } of wanted.values()) {
+            try {
+                await this.request('post', '/eventsub/subscriptions', {
+                    data: { type, version: '1', condition: { broadcaster_user_id: id }, transport: this.getTransport() }
+                });
+            } catch (error) {
+                // 409 means it already exists, e.g. created by an overlapping reconcile
+                if (error.response?.status !== 409) {
+                    throw error;
+                }
+            }
+            count++;
+            // Webhook subscriptions start out pending until Twitch verifies the callback
+            allEnabled = allEnabled && this.mode === 'websocket';
+        }
+
+        this.subscriptionCount = count;
+        this.setActive(allEnabled);
+
+        if (!allEnabled) {
+            clearTimeout(this.recheckTimer);
+            this.recheckTimer = setTimeout(() => this.sync(), PENDING_RECHECK_DELAY);
+        }
+    }
+
+    // Our stream.online/offline subscriptions on this transport
+    async listSubscriptions() {
+        const subscriptions = [];
+        let cursor = null;
+
+        do {
+            const params = cursor ? { after: cursor } : {};
+            const response = await this.request('get', '/eventsub/subscriptions', { params });
+            subscriptions.push(...response.data.data);
+            cursor = response.data.pagination?.cursor || null;
+        } while (cursor);
+
+        return subscriptions.filter(subscription => {
+            if (!SUBSCRIPTION_TYPES.includes(subscription.type)) {
+                return false;
+            }
+            return this.mode === 'webhook'
+                ? subscription.transport.method === 'webhook' && subscription.transport.callback === this.callbackUrl
+                : subscription.transport.method === 'websocket' && subscription.transport.session_id === this.sessionId;
+        });
+    }
+
+    getTransport() {
+        return this.mode === 'webhook'
+            ? { method: 'webhook', callback: this.callbackUrl, secret: this.secret }
+            : { method: 'websocket', session_id: this.sessionId };
+    }
+
+    async request(method, endpoint, options) {
+        const userToken = this.mode === 'websocket' ? this.userToken : undefined;
+        return await this.provider.helixRequest(method, endpoint, { ...options, userToken });
+    }
+
+    setActive(active) {
+        if (active === this.active) {
+            return;
+        }
+
+        this.active = active;
+        console.log(active
+            ? `Twitch EventSub active (${this.mode}, ${this.subscriptionCount} subscriptions)`
+            : 'Twitch EventSub inactive, polling Twitch at the normal interval');
+        this.hooks.onPushStateChange(active);
+    }
+
+    // Twitch retries deliveries, so the same message can arrive more than once
+    isDuplicate(messageId) {
+        if (this.seenMessages.has(messageId)) {
+            return true;
+        }
+        if (this.seenMessages.size >= MAX_SEEN_MESSAGES) {
+            this.seenMessages.clear();
+        }
+        this.seenMessages.add(messageId);
+        return false;
+    }
+
+    handleWebhook(req, res, rawBody) {
+        const timestamp = Date.parse(req.headers['twitch-eventsub-message-timestamp']);
+        if (!verifySignature(this.secret, req.headers, rawBody) || !(Math.abs(Date.now() - timestamp) <= MAX_MESSAGE_AGE)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            res.writeHead(400);
+            res.end();
+            return;
+        }
+
+        const type = req.headers['twitch-eventsub-message-type'];
+        if (type === 'webhook_callback_verification') {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(message.challenge);
+            return;
+        }
+
+        // Acknowledge right away; Twitch treats slow responses as failures
+        res.writeHead(204);
+        res.end();
+
+        if (this.isDuplicate(req.headers['twitch-eventsub-message-id'])) {
+            return;
+        }
+
+        if (type === 'notification') {
+            this.handleNotification(message.subscription, message.event);
+        } else if (type === 'revocation') {
+            this.handleRevocation(message.subscription);
+        }
+    }
+
+    handleNotification(subscription, event) {
+        const username = event.broadcaster_user_login;
+        const userId = event.broadcaster_user_id;
+        let streamEvent = null;
+
+        if (subscription.type === 'stream.online' && event.type === 'live') {
+            streamEvent = { status: 'online', info: this.provider.liveInfo({ streamId: event.id, startedAt: event.started_at }) };
+        } else if (subscription.type === 'stream.offline') {
+            streamEvent = { status: 'offline' };
+        }
+
+        if (streamEvent) {
+            console.log(`Twitch EventSub: ${subscription.type} for ${username}`);
+            Promise.resolve(this.hooks.onStreamEvent(userId, streamEvent))
+                .catch(error => console.error(`Error handling Twitch EventSub ${subscription.type} for ${username}:`, error));
+        }
+    }
+
+    handleRevocation(subscription) {
+        console.warn(`Twitch EventSub revoked ${subscription.type} for ${subscription.condition.broadcaster_user_id}: ${subscription.status}`);
+        this.setActive(false);
+        this.sync();
+    }
+
+    connect(url) {
+        const socket = new WebSocket(url);
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString('utf8'));
+            } catch (error) {
+                console.error('Twitch EventSub sent an unreadable message');
+                return;
+            }
+            this.handleSocketMessage(socket, message);
+        });
+
+        socket.on('error', error => console.error('Twitch EventSub WebSocket error:', error.message));
+
+        socket.on('close', () => {
+            // Sockets replaced through session_reconnect close without affecting the session
+            if (socket !== this.socket && this.socket !== null) {
+                return;
+            }
+
+            this.socket = null;
+            this.sessionId = null;
+            clearTimeout(this.keepaliveTimer);
+            this.setActive(false);
+
+            if (!this.stopped) {
+                console.log(`Twitch EventSub WebSocket closed, reconnecting in ${this.reconnectDelay / 1000}s`);
+                this.reconnectTimer = setTimeout(() => this.connect(this.websocketUrl), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+            }
+        });
+
+        if (!this.socket) {
+            this.socket = socket;
+        }
+    }
+
+    handleSocketMessage(socket, message) {
+        const { message_type: type, message_id: messageId } = message.metadata || {};
+        const payload = message.payload || {};
+
+        if (type === 'session_welcome') {
+            const reconnected = socket !== this.socket;
+            if (reconnected) {
+                // Subscriptions move to the new connection by themselves
+                const previous = this.socket;
+                this.socket = socket;
+                previous?.close();
+            }
+
+            this.sessionId = payload.session.id;
+            this.keepaliveTimeout = (payload.session.keepalive_timeout_seconds || 10) * 1000;
+            this.reconnectDelay = MIN_RECONNECT_DELAY;
+            this.resetKeepalive(socket);
+
+            if (!reconnected) {
+                this.sync();
+            }
+            return;
+        }
+
+        if (socket !== this.socket) {
+            return;
+        }
+        this.resetKeepalive(socket);
+
+        if (type === 'session_reconnect') {
+            this.connect(payload.session.reconnect_url);
+        } else if (type === 'notification' && !this.isDuplicate(messageId)) {
+            this.handleNotification(payload.subscription, payload.event);
+        } else if (type === 'revocation' && !this.isDuplicate(messageId)) {
+            this.handleRevocation(payload.subscription);
+        }
+    }
+
+    // Twitch sends something at least every keepalive_timeout_seconds; silence means the connection is dead
+    resetKeepalive(socket) {
+        clearTimeout(this.keepaliveTimer);
+        this.keepaliveTimer = setTimeout(() => {
+            console.warn('Twitch EventSub keepalive missed, reconnecting');
+            socket.terminate();
+        }, this.keepaliveTimeout + 5000);
+    }
+}
+
+module.exports = {
+    TwitchEventSub,
+    signMessage,
+    verifySignature
+};
@@ -0,0 +1,379 @@
+const PlatformProvider = require('./base-provider');
+const { TwitchEventSub } = require('./twitch-eventsub');
+const { profilePath } = require('../lib/profile-links');
+
+const HELIX_URL = 'https://api.twitch.tv/helix';
+const TOKEN_URL = 'https://id.twitch.tv/oauth2/token';
+const MAX_LOGINS_PER_REQUEST = 100; // Helix limit for repeated user_login params
+const TOKEN_REFRESH_MARGIN = 60 * 1000; // Refresh the app token a minute before it expires
+
+class TwitchProvider extends PlatformProvider {
+    constructor(config) {
+        super(config, {
+            id: 'twitch',
+            name: 'Twitch',
+            order: 2,
+            color: 0x9146FF,
+            // One batched request covers every user, so a shorter interval in
+            // PLATFORM_CHECK_INTERVALS costs one Helix request per cycle
+            polling: { batchSize: Infinity, concurrency: 1 }
+        });
+        this.token = null;
+        this.tokenExpiresAt = 0;
+        this.rateLimitRemaining = null;
+        this.rateLimitReset = 0; // Epoch milliseconds when the Helix bucket refills
+        this.userIds = new Map(); // login -> user ID
+        this.apiUrl = config.TWITCH_API_URL || HELIX_URL;
+        this.tokenUrl = config.TWITCH_TOKEN_URL || TOKEN_URL;
+        this.eventSub = null;
+    }
+
+    // shroud, @Shroud or https://www.twitch.tv/shroud -> shroud
+    normalize(input) {
+        const path = profilePath(input, ['twitch.tv']);
+        const login = path ? path[0] || '' : input.trim();
+        return login.replace(/^@/, '').toLowerCase();
+    }
+
+    async validate(username) {
+        if (!this.config.TWITCH_CLIENT_ID || !this.config.TWITCH_CLIENT_SECRET) {
+            return {
+                valid: false,
+                message: 'Twitch API credentials not configured'
+            };
+        }
+
+        try {
+            const response = await this.helixGet('/users', new URLSearchParams({ login: username }));
+
+            if (response.data.data.length === 0) {
+                return {
+                    valid: false,
+                    message: `Twitch user "${username}" not found`
+                };
+            }
+
+            const [twitchUser] = response.data.data;
+            this.userIds.set(twitchUser.login, twitchUser.id);
+            return { valid: true, id: twitchUser.id, username: twitchUser.login, displayName: twitchUser.display_name };
+        } catch (error) {
+            return {
+                valid: false,
+                message: `Error validating Twitch user: ${error.message}`
+            };
+        }
+    }
+
+    // Logins change when a streamer renames; user IDs don't
+    async getAccounts(users) {
+        const accounts = new Map();
+        const ids = users.map(user => user.id).filter(Boolean);
+
+        for (let i = 0; i < ids.length; i += MAX_LOGINS_PER_REQUEST) {
+            const params = new URLSearchParams();
+            ids.slice(i, i + MAX_LOGINS_PER_REQUEST).forEach(id => params.append('id', id));
+
+            const response = await this.helixGet('/users', params);
+            for (const twitchUser of response.data.data) {
+                accounts.set(twitchUser.id, { username: twitchUser.login, displayName: twitchUser.display_name });
+            }
+        }
+        return accounts;
+    }
+
+    async search(query) {
+        if (!this.config.TWITCH_CLIENT_ID || !this.config.TWITCH_CLIENT_SECRET) {
+            return [];
+        }
+
+        const response = await this.helixGet('/search/channels', new URLSearchParams({ query, first: 10 }));
+        return response.data.data.map(channel => ({
+            username: channel.broadcaster_login,
+            label: `${channel.display_name}${channel.is_live ? ' 🔴 live' : ''}`
+        }));
+    }
+
+    async checkLive(user) {
+        const [streamInfo] = await this.checkLiveMany([user]);
+        return streamInfo;
+    }
+
+    // Check every user with as few /streams requests as Helix allows. Users
+    // are looked up by ID when it's known so renamed streamers keep working.
+    async checkLiveMany(users) {
+        const streams = new Map();
+        const failed = new Set();
+
+        for (let i = 0; i < users.length; i += MAX_LOGINS_PER_REQUEST) {
+            const chunk = users.slice(i, i + MAX_LOGINS_PER_REQUEST);
+            const params = new URLSearchParams({ first: String(MAX_LOGINS_PER_REQUEST) });
+            chunk.forEach(user => {
+                if (user.id) {
+                    params.append('user_id', user.id);
+                } else {
+                    params.append('user_login', user.username.toLowerCase());
+                }
+            });
+
+            try {
+                const response = await this.helixGet('/streams', params);
+                for (const stream of response.data.data) {
+                    streams.set(stream.user_id, stream);
+                    streams.set(stream.user_login.toLowerCase(), stream);
+                }
+            } catch (error) {
+                console.error(`Twitch API error checking ${chunk.length} users:`, error.response?.data?.message || error.message);
+                chunk.forEach(user => failed.add(user));
+            }
+        }
+
+        return users.map(user => {
+            if (failed.has(user)) {
+                return this.unknown();
+            }
+
+            const stream = streams.get(user.id || user.username.toLowerCase());
+            return stream ? this.toStreamInfo(stream) : this.offline();
+        });
+    }
+
+    // Archives are only kept when the broadcaster has VODs enabled
+    async getVodUrl(user, session) {
+        if (!session.streamId) {
+            return null;
+        }
+
+        try {
+            const userId = user.id || (await this.getUserIds([user.username])).get(user.username.toLowerCase());
+            if (!userId) {
+                return null;
+            }
+
+            const videos = await this.helixGet('/videos', new URLSearchParams({ user_id: userId, type: 'archive', first: '5' }));
+            const video = videos.data.data.find(v => v.stream_id === session.streamId);
+            return video ? video.url : null;
+        } catch (error) {
+            console.error(`Error finding Twitch VOD for ${user.username}:`, error.response?.data?.message || error.message);
+            return null;
+        }
+    }
+
+    // EventSub (TWITCH_EVENTSUB=webhook|websocket) replaces polling while it works
+    async startPush(hooks) {
+        const mode = this.config.TWITCH_EVENTSUB;
+        if (!mode || mode === 'off') {
+            return false;
+        }
+
+        if (!this.config.TWITCH_CLIENT_ID || !this.config.TWITCH_CLIENT_SECRET) {
+            console.error('Twitch EventSub needs TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET, polling instead');
+            return false;
+        }
+        if (mode === 'webhook') {
+            const secret = this.config.TWITCH_EVENTSUB_SECRET || '';
+            if (!this.config.TWITCH_EVENTSUB_CALLBACK_URL || secret.length < 10 || secret.length > 100) {
+                console.error('Twitch EventSub webhooks need TWITCH_EVENTSUB_CALLBACK_URL and a TWITCH_EVENTSUB_SECRET of 10-100 characters, polling instead');
+                return false;
+            }
+        } else if (mode === 'websocket') {
+            if (!this.config.TWITCH_USER_TOKEN) {
+                console.error('Twitch EventSub over WebSocket needs TWITCH_USER_TOKEN, polling instead');
+                return false;
+            }
+        } else {
+            console.error(`Unknown TWITCH_EVENTSUB mode "${mode}", polling instead`);
+            return false;
+        }
+
+        this.eventSub = new TwitchEventSub(this, {
+            mode,
+            secret: this.config.TWITCH_EVENTSUB_SECRET,
+            callbackUrl: this.config.TWITCH_EVENTSUB_CALLBACK_URL,
+            userToken: this.config.TWITCH_USER_TOKEN,
+            websocketUrl: this.config.TWITCH_EVENTSUB_WS_URL
+        });
+        await this.eventSub.start(hooks);
+        return true;
+    }
+
+    async syncPush(users) {
+        if (!this.eventSub) {
+            return;
+        }
+
+        // Entries saved before accounts were keyed by ID only have a login
+        const logins = users.filter(user => !user.id).map(user => user.username);
+        const resolved = logins.length > 0 ? await this.getUserIds(logins) : new Map();
+        for (const login of logins) {
+            if (!resolved.has(login.toLowerCase())) {
+                console.warn(`Twitch EventSub: no Twitch user found for ${login}, it will only be polled`);
+            }
+        }
+
+        const ids = users.map(user => user.id || resolved.get(user.username.toLowerCase())).filter(Boolean);
+        await this.eventSub.sync(Array.from(new Set(ids)));
+    }
+
+    // EventSub events name the broadcaster by user ID
+    accountId(user) {
+        return user.id || this.userIds.get(user.username.toLowerCase()) || user.username.toLowerCase();
+    }
+
+    async stopPush() {
+        if (this.eventSub) {
+            this.eventSub.stop();
+            this.eventSub = null;
+        }
+    }
+
+    getStatusFields() {
+        if (!this.eventSub) {
+            return [];
+        }
+
+        return [{
+            name: 'Twitch EventSub',
+            value: this.eventSub.active
+                ? `Active (${this.eventSub.mode}, ${this.eventSub.subscriptionCount} subscriptions)`
+                : `Not active (${this.eventSub.mode}), polling instead`,
+            inline: false
+        }];
+    }
+
+    toStreamInfo(stream) {
+        return this.liveInfo({
+            streamId: stream.id,
+            title: stream.title,
+            category: stream.game_name || null,
+            // Helix returns a size template; the query string stops Discord serving a stale cached image
+            thumbnailUrl: stream.thumbnail_url
+                ? `${stream.thumbnail_url.replace('{width}', '1280').replace('{height}', '720')}?t=${Date.now()}`
+                : null,
+            viewerCount: stream.viewer_count,
+            startedAt: stream.started_at
+        });
+    }
+
+    // GET a Helix endpoint, refreshing the app token on 401 and waiting out rate limits
+    async helixGet(endpoint, params) {
+        return await this.helixRequest('get', endpoint, { params });
+    }
+
+    // Any Helix call. userToken replaces the app token for endpoints that need
+    // a user access token; it can't be refreshed here, so a 401 is thrown.
+    async helixRequest(method, endpoint, { params, data, userToken } = {}, retried = false) {
+        if (!userToken && (!this.token || Date.now() >= this.tokenExpiresAt - TOKEN_REFRESH_MARGIN)) {
+            await this.getToken();
+        }
+
+        await this.waitForRateLimit();
+
+        try {
+            const response = await this.http.request({
+                method,
+                url: `${this.apiUrl}${endpoint}`,
+                params,
+                data,
+                headers: this.getHeaders(userToken)
+            });
+            this.updateRateLimit(response.headers);
+            return response;
+        } catch (error) {
+            if (error.response) {
+                this.updateRateLimit(error.response.headers);
+            }
+
+            if (!retried && !userToken && error.response?.status === 401) {
+                console.log('Twitch token rejected, fetching a new one...');
+                this.token = null;
+                return await this.helixRequest(method, endpoint, { params, data }, true);
+            }
+
+            if (!retried && error.response?.status === 429) {
+                console.log('Twitch rate limit hit, waiting for reset...');
+                this.rateLimitRemaining = 0;
+                return await this.helixRequest(method, endpoint, { params, data, userToken }, true);
+            }
+
+            throw error;
+        }
+    }
+
+    // Map of lowercase login -> Twitch user ID, cached since IDs never change
+    async getUserIds(logins) {
+        const missing = logins.map(login => login.toLowerCase()).filter(login => !this.userIds.has(login));
+
+        for (let i = 0; i < missing.length; i += MAX_LOGINS_PER_REQUEST) {
+            const params = new URLSearchParams();
+            missing.slice(i, i + MAX_LOGINS_PER_REQUEST).forEach(login => params.append('login', login));
+
+            const response = await this.helixGet('/users', params);
+            for (const user of response.data.data) {
+                this.userIds.set(user.login.toLowerCase(), user.id);
+            }
+        }
+
+        const ids = new Map();
+        for (const login of logins) {
+            const id = this.userIds.get(login.toLowerCase());
+            if (id) {
+                ids.set(login.toLowerCase(), id);
+            }
+        }
+        return ids;
+    }
+
+    updateRateLimit(headers = {}) {
+        const remaining = parseInt(headers['ratelimit-remaining'], 10);
+        const reset = parseInt(headers['ratelimit-reset'], 10);
+
+        if (!Number.isNaN(remaining)) {
+            this.rateLimitRemaining = remaining;
+        }
+        if (!Number.isNaN(reset)) {
+            this.rateLimitReset = reset * 1000;
+        }
+    }
+
+    async waitForRateLimit() {
+        if (this.rateLimitRemaining === null || this.rateLimitRemaining > 0) {
+            return;
+        }
+
+        const wait = this.rateLimitReset - Date.now();
+        if (wait > 0) {
+            console.log(`Twitch rate limit exhausted, waiting ${Math.ceil(wait / 1000)}s`);
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.rateLimitRemaining = null;
+    }
+
+    async getToken() {
+        try {
+            const response = await this.http.post(this.tokenUrl, {
+                client_id: this.config.TWITCH_CLIENT_ID,
+                client_secret: this.config.TWITCH_CLIENT_SECRET,
+                grant_type: 'client_credentials'
+            });
+            this.token = response.data.access_token;
+            this.tokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+        } catch (error) {
+            this.token = null;
+            console.error('Error getting Twitch token:', error.response?.data?.message || error.message);
+            throw error;
+        }
+    }
+
+    getHeaders(userToken = null) {
+        return {
+            'Client-ID': this.config.TWITCH_CLIENT_ID,
+            'Authorization': `Bearer ${userToken || this.token}`
+        };
+    }
+
+    buildUrl(user) {
+        return `https://twitch.tv/${user.username}`;
+    }
+}
+
+module.exports = TwitchProvider;
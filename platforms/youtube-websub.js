@@ -0,0 +1,307 @@
+// YouTube WebSub (PubSubHubbub) client.
+//
+// Each tracked channel's feed is subscribed at the hub with the callback
+// YOUTUBE_WEBSUB_CALLBACK_URL, served by the bot's HTTP server. The hub pushes
+// an Atom entry whenever a channel uploads, schedules or edits a video, which
+// says nothing about whether it is live, so every pushed video gets one
+// videos.list check (1 quota unit) and is only announced when it is live.
+//
+// Deliveries must be signed with YOUTUBE_WEBSUB_SECRET, and a pushed video
+// only counts for a channel when videos.list says it belongs to it.
+//
+// Pushed videos that are live or about to start are re-checked on the
+// platform's normal interval until they end, so streams found through push
+// also end promptly while polling runs at the slower push interval.
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+const HUB_URL = 'https://pubsubhubbub.appspot.com/subscribe';
+const TOPIC_URL = 'https://www.youtube.com/xml/feeds/videos.xml';
+const LEASE_SECONDS = 10 * 24 * 60 * 60; // Requested; the hub may grant less
+const RENEW_MARGIN = 24 * 60 * 60 * 1000; // Renew leases a day before they run out
+const PENDING_TIMEOUT = 10 * 60 * 1000; // Ask again when the hub hasn't verified by then
+const AUDIT_INTERVAL = 10 * 60 * 1000;
+const UPCOMING_WINDOW = 5 * 60 * 1000; // Start checking scheduled streams this long before they are due
+const UPCOMING_GIVE_UP = 6 * 60 * 60 * 1000; // Stop watching scheduled streams this late
+
+// X-Hub-Signature is sha1=HMAC(secret, raw body)
+function verifySignature(secret, header, rawBody) {
+    if (!header) {
+        return false;
+    }
+
+    const expected = Buffer.from('sha1=' + crypto.createHmac('sha1', secret).update(rawBody).digest('hex'));
+    const given = Buffer.from(header);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function topicUrl(channelId) {
+    return `${TOPIC_URL}?channel_id=${encodeURIComponent(channelId)}`;
+}
+
+class YouTubeWebSub {
+    constructor(provider, { callbackUrl, secret, hubUrl, watchInterval }) {
+        this.provider = provider;
+        this.callbackUrl = callbackUrl;
+        this.secret = secret;
+        this.hubUrl = hubUrl || HUB_URL;
+        this.watchInterval = watchInterval;
+
+        this.hooks = null;
+        this.active = false;
+        this.wanted = new Set(); // Channel IDs that should be subscribed
+        this.channels = new Map(); // channelId -> { expiresAt, requestedAt }
+        this.watched = new Map(); // videoId -> { channelId, live, scheduledStart }
+        this.auditing = null;
+        this.auditRequested = false;
+        this.auditTimer = null;
+        this.watchTimer = null;
+    }
+
+    async start(hooks) {
+        this.hooks = hooks;
+        hooks.registerWebhook(new URL(this.callbackUrl).pathname, (req, res, rawBody) => this.handleWebhook(req, res, rawBody));
+        this.auditTimer = setInterval(() => this.audit(), AUDIT_INTERVAL);
+        this.watchTimer = setInterval(() => this.checkWatched(), this.watchInterval);
+    }
+
+    stop() {
+        clearInterval(this.auditTimer);
+        clearInterval(this.watchTimer);
+    }
+
+    async sync(channelIds) {
+        this.wanted = new Set(channelIds);
+        await this.audit();
+    }
+
+    // Subscribe new channels, renew leases that are running out and
+    // unsubscribe channels nobody tracks any more
+    audit() {
+        if (this.auditing) {
+            this.auditRequested = true;
+            return this.auditing;
+        }
+
+        this.auditing = this.runAudits().finally(() => {
+            this.auditing = null;
+        });
+        return this.auditing;
+    }
+
+    async runAudits() {
+        do {
+            this.auditRequested = false;
+            const now = Date.now();
+
+            for (const channelId of this.wanted) {
+                const channel = this.channels.get(channelId) || { expiresAt: 0, requestedAt: null };
+                this.channels.set(channelId, channel);
+
+                const expiring = channel.expiresAt - now < RENEW_MARGIN;
+                const waiting = channel.requestedAt && now - channel.requestedAt < PENDING_TIMEOUT;
+                if (expiring && !waiting) {
+                    await this.sendRequest('subscribe', channelId);
+                }
+            }
+
+            for (const channelId of Array.from(this.channels.keys())) {
+                if (!this.wanted.has(channelId)) {
+                    this.channels.delete(channelId);
+                    await this.sendRequest('unsubscribe', channelId);
+                }
+            }
+
+            this.updateActive();
+        } while (this.auditRequested);
+    }
+
+    // The hub answers 202 and then verifies with a GET to the callback
+    async sendRequest(mode, channelId) {
+        const params = new URLSearchParams({
+            'hub.callback': this.callbackUrl,
+            'hub.topic': topicUrl(channelId),
+            'hub.mode': mode,
+            'hub.verify': 'async'
+        });
+        if (mode === 'subscribe') {
+            params.set('hub.lease_seconds', String(LEASE_SECONDS));
+            params.set('hub.secret', this.secret);
+        }
+
+        const channel = this.channels.get(channelId);
+        try {
+            await this.provider.http.post(this.hubUrl, params, { timeout: 10000 });
+            if (channel) {
+                channel.requestedAt = Date.now();
+            }
+        } catch (error) {
+            console.error(`YouTube WebSub ${mode} failed for ${channelId}:`, error.response?.status || error.message);
+            if (channel) {
+                channel.requestedAt = null; // Retried on the next audit
+            }
+        }
+    }
+
+    // Active while every tracked channel has a verified, unexpired lease
+    updateActive() {
+        const now = Date.now();
+        const active = Array.from(this.wanted).every(channelId => this.channels.get(channelId)?.expiresAt > now);
+        if (active === this.active) {
+            return;
+        }
+
+        this.active = active;
+        console.log(active
+            ? `YouTube WebSub active (${this.wanted.size} channels)`
+            : 'YouTube WebSub inactive, polling YouTube at the normal interval');
+        this.hooks.onPushStateChange(active);
+    }
+
+    getLeaseCount() {
+        const now = Date.now();
+        return Array.from(this.channels.values()).filter(channel => channel.expiresAt > now).length;
+    }
+
+    handleWebhook(req, res, rawBody) {
+        if (req.method === 'GET') {
+            this.handleVerification(req, res);
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end();
+            return;
+        }
+
+        // The hub retries anything other than 2xx, so bad deliveries are
+        // acknowledged and dropped rather than refused
+        res.writeHead(204);
+        res.end();
+
+        if (!verifySignature(this.secret, req.headers['x-hub-signature'], rawBody)) {
+            console.warn('YouTube WebSub notification with a bad signature ignored');
+            return;
+        }
+
+        const $ = cheerio.load(rawBody.toString('utf8'), { xml: true });
+        const videos = new Map(); // videoId -> channelId
+        $('entry').each((i, entry) => {
+            const videoId = $(entry).find('yt\\:videoId').text();
+            const channelId = $(entry).find('yt\\:channelId').text();
+            if (videoId && this.wanted.has(channelId)) {
+                videos.set(videoId, channelId);
+            }
+        });
+
+        if (videos.size > 0) {
+            console.log(`YouTube WebSub: ${videos.size} video update(s) pushed`);
+            this.checkVideos(videos).catch(error =>
+                console.error('Error checking pushed YouTube videos:', error.response?.data?.error?.message || error.message));
+        }
+    }
+
+    handleVerification(req, res) {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const mode = query.get('hub.mode');
+        let channelId = null;
+        try {
+            channelId = new URL(query.get('hub.topic')).searchParams.get('channel_id');
+        } catch (error) {
+            // Not one of our topics
+        }
+
+        const channel = this.channels.get(channelId);
+        if (mode === 'subscribe' && this.wanted.has(channelId) && channel) {
+            const leaseSeconds = parseInt(query.get('hub.lease_seconds'), 10) || LEASE_SECONDS;
+            channel.expiresAt = Date.now() + leaseSeconds * 1000;
+            channel.requestedAt = null;
+        } else if (mode === 'denied') {
+            console.warn(`YouTube WebSub subscription denied for ${channelId}: ${query.get('hub.reason') || 'no reason given'}`);
+            if (channel) {
+                channel.expiresAt = 0;
+                channel.requestedAt = null;
+            }
+            this.updateActive();
+            res.writeHead(200);
+            res.end();
+            return;
+        } else if (!(mode === 'unsubscribe' && !this.wanted.has(channelId))) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(query.get('hub.challenge') || '');
+        this.updateActive();
+    }
+
+    // One videos.list lookup for the given videos. Live videos are announced
+    // (or refreshed), ended ones end the session they belong to.
+    async checkVideos(videos) {
+        const found = new Map();
+        for (const video of await this.provider.getVideos(Array.from(videos.keys()))) {
+            found.set(video.id, video);
+        }
+
+        for (const [videoId, channelId] of videos) {
+            const video = found.get(videoId);
+            const watched = this.watched.get(videoId);
+            if (video ? video.snippet.channelId !== channelId : watched && watched.channelId !== channelId) {
+                console.warn(`YouTube WebSub: video ${videoId} does not belong to ${channelId}, ignored`);
+                continue;
+            }
+
+            const state = video ? this.provider.videoState(video) : 'ended';
+
+            if (state === 'live') {
+                this.watched.set(videoId, { channelId, live: true, scheduledStart: null });
+                this.emit(channelId, { status: 'online', info: this.provider.toStreamInfo(video), verified: true });
+            } else if (state === 'upcoming') {
+                const scheduledStart = Date.parse(video.liveStreamingDetails.scheduledStartTime) || Date.now();
+                this.watched.set(videoId, { channelId, live: false, scheduledStart });
+            } else {
+                this.watched.delete(videoId);
+                this.provider.markSettled(videoId);
+                if (watched?.live) {
+                    this.emit(channelId, { status: 'offline', streamId: videoId });
+                }
+            }
+        }
+    }
+
+    // Re-check live videos and scheduled ones that are about to start
+    async checkWatched() {
+        const now = Date.now();
+        const due = new Map();
+
+        for (const [videoId, watched] of this.watched) {
+            if (!this.wanted.has(watched.channelId) || (!watched.live && now - watched.scheduledStart > UPCOMING_GIVE_UP)) {
+                this.watched.delete(videoId);
+            } else if (watched.live || watched.scheduledStart - now <= UPCOMING_WINDOW) {
+                due.set(videoId, watched.channelId);
+            }
+        }
+
+        if (due.size === 0) {
+            return;
+        }
+
+        try {
+            await this.checkVideos(due);
+        } catch (error) {
+            console.error('Error re-checking watched YouTube videos:', error.response?.data?.error?.message || error.message);
+        }
+    }
+
+    emit(channelId, event) {
+        Promise.resolve(this.hooks.onStreamEvent(channelId, event))
+            .catch(error => console.error(`Error handling YouTube WebSub event for ${channelId}:`, error));
+    }
+}
+
+module.exports = {
+    YouTubeWebSub,
+    verifySignature
+};
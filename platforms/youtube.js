@@ -0,0 +1,434 @@
+const cheerio = require('cheerio');
+const PlatformProvider = require('./base-provider');
+const { YouTubeWebSub } = require('./youtube-websub');
+const { profilePath } = require('../lib/profile-links');
+
+const API_URL = 'https://www.googleapis.com/youtube/v3';
+const FEED_URL = 'https://www.youtube.com/feeds/videos.xml';
+const MAX_IDS_PER_REQUEST = 50; // videos.list and channels.list limit
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+const MAX_SETTLED_VIDEOS = 5000;
+const SEARCH_MIN_LENGTH = 3;
+const SEARCH_CACHE_TTL = 60 * 60 * 1000;
+const MAX_SEARCH_CACHE = 500;
+const SEARCH_QUOTA_SHARE = 0.8; // Stop searching once this much of the daily quota is used
+
+// Data API quota cost per call, see https://developers.google.com/youtube/v3/determine_quota_cost
+const QUOTA_COST = {
+    search: 100,
+    channels: 1,
+    videos: 1
+};
+
+class YouTubeProvider extends PlatformProvider {
+    constructor(config) {
+        super(config, {
+            id: 'youtube',
+            name: 'YouTube',
+            order: 1,
+            color: 0xFF0000,
+            polling: { batchSize: Infinity, concurrency: 1 }
+        });
+        this.quotaLimit = parseInt(config.YOUTUBE_DAILY_QUOTA, 10) || 10000;
+        this.quotaUsed = 0;
+        this.quotaDay = null;
+        this.resolvedIds = new Map(); // Resolutions for entries saved without a channel ID
+        this.settledVideos = new Set(); // Uploads and finished streams that can never go live again
+        this.webSub = null;
+        this.searchCache = new Map(); // Lowercased query -> { results, expiresAt }
+        this.apiUrl = config.YOUTUBE_API_URL || API_URL;
+        this.feedUrl = config.YOUTUBE_FEED_URL || FEED_URL;
+    }
+
+    // Handles are case-insensitive, channel IDs are not:
+    // youtube.com/@Handle -> @handle, youtube.com/channel/UC... -> UC..., youtube.com/c/Name -> Name
+    normalize(input) {
+        const path = profilePath(input, ['youtube.com']);
+        if (path) {
+            if (path[0]?.startsWith('@')) {
+                return path[0].toLowerCase();
+            }
+            return ['channel', 'c', 'user'].includes(path[0]) && path[1] ? path[1] : '';
+        }
+
+        const text = input.trim();
+        return text.startsWith('@') ? text.toLowerCase() : text;
+    }
+
+    async validate(username) {
+        if (!this.config.YOUTUBE_API_KEY) {
+            return {
+                valid: false,
+                message: 'YouTube API key not configured'
+            };
+        }
+
+        try {
+            // Try to resolve channel if it's not already an ID
+            const channelId = CHANNEL_ID_PATTERN.test(username) ? username : await this.resolveId(username);
+            if (!channelId) {
+                return {
+                    valid: false,
+                    message: `Could not find YouTube channel: ${username}. Try using the channel ID instead.`
+                };
+            }
+
+            const channel = (await this.getAccounts([{ id: channelId }])).get(channelId);
+            if (!channel) {
+                return {
+                    valid: false,
+                    message: `YouTube channel "${username}" not found`
+                };
+            }
+
+            return {
+                valid: true,
+                id: channelId,
+                username: channel.username,
+                displayName: channel.displayName,
+                note: channelId === username ? '' : `Resolved to channel ID: ${channelId}`
+            };
+        } catch (error) {
+            return {
+                valid: false,
+                message: `Error validating YouTube channel: ${error.message}`
+            };
+        }
+    }
+
+    // Channel titles and handles for channel IDs, 1 quota unit per 50 channels
+    async getAccounts(users) {
+        const accounts = new Map();
+        const ids = users.map(user => user.id).filter(Boolean);
+
+        for (let i = 0; i < ids.length; i += MAX_IDS_PER_REQUEST) {
+            const response = await this.apiGet('channels', {
+                part: 'snippet',
+                id: ids.slice(i, i + MAX_IDS_PER_REQUEST).join(','),
+                maxResults: MAX_IDS_PER_REQUEST
+            });
+            for (const item of response.data.items || []) {
+                accounts.set(item.id, { username: item.snippet.customUrl || item.id, displayName: item.snippet.title });
+            }
+        }
+        return accounts;
+    }
+
+    async resolveId(input) {
+        try {
+            // Handles and legacy usernames resolve for 1 unit each; search costs 100
+            if (/^@?[\w.-]+$/.test(input)) {
+                const lookups = [
+                    { forHandle: input.startsWith('@') ? input : `@${input}` },
+                    { forUsername: input.replace(/^@/, '') }
+                ];
+
+                for (const lookup of lookups) {
+                    const channelResponse = await this.apiGet('channels', { part: 'id', ...lookup });
+                    if (channelResponse.data.items?.length > 0) {
+                        return channelResponse.data.items[0].id;
+                    }
+                }
+            }
+
+            // Fall back to searching for the channel by name
+            const searchResponse = await this.apiGet('search', {
+                part: 'snippet',
+                q: input,
+                type: 'channel',
+                maxResults: 1
+            });
+
+            if (searchResponse.data.items.length > 0) {
+                return searchResponse.data.items[0].snippet.channelId;
+            }
+
+            return null;
+        } catch (error) {
+            console.error(`Error resolving YouTube channel ${input}:`, error.response?.data?.error?.message || error.message);
+            return null;
+        }
+    }
+
+    // Autocomplete fires on every keystroke and a search costs 100 units, so
+    // short queries are skipped, results are cached and @handles are looked
+    // up directly for 1 unit. Suggestions are channel IDs, which /track takes as-is.
+    async search(query) {
+        const term = query.trim();
+        if (!this.config.YOUTUBE_API_KEY || term.length < SEARCH_MIN_LENGTH) {
+            return [];
+        }
+
+        const cacheKey = term.toLowerCase();
+        const cached = this.searchCache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.results;
+        }
+
+        let results;
+        if (/^@[\w.-]+$/.test(term)) {
+            const response = await this.apiGet('channels', { part: 'snippet', forHandle: term });
+            results = (response.data.items || []).map(item => ({ username: item.id, label: `${item.snippet.title} (${term})` }));
+        } else {
+            this.recordQuota(0);
+            if (this.quotaUsed + QUOTA_COST.search > this.quotaLimit * SEARCH_QUOTA_SHARE) {
+                return [];
+            }
+
+            const response = await this.apiGet('search', { part: 'snippet', q: term, type: 'channel', maxResults: 10 });
+            results = (response.data.items || []).map(item => ({ username: item.snippet.channelId, label: item.snippet.title }));
+        }
+
+        if (this.searchCache.size >= MAX_SEARCH_CACHE) {
+            this.searchCache.delete(this.searchCache.keys().next().value);
+        }
+        this.searchCache.set(cacheKey, { results, expiresAt: Date.now() + SEARCH_CACHE_TTL });
+        return results;
+    }
+
+    async checkLive(user) {
+        const [streamInfo] = await this.checkLiveMany([user]);
+        return streamInfo;
+    }
+
+    // Read each channel's RSS feed (no quota), then look up the recent videos'
+    // live status with batched videos.list calls (1 unit per 50 videos)
+    async checkLiveMany(users) {
+        if (!this.config.YOUTUBE_API_KEY) {
+            console.log('YouTube API key not configured');
+            return users.map(() => this.unknown());
+        }
+
+        const channelIds = [];
+        for (const user of users) {
+            channelIds.push(await this.getChannelId(user));
+        }
+
+        const failedChannels = new Set();
+        const candidates = new Map(); // videoId -> channelId
+        for (const channelId of new Set(channelIds.filter(Boolean))) {
+            try {
+                for (const videoId of await this.getRecentVideoIds(channelId)) {
+                    if (!this.settledVideos.has(videoId)) {
+                        candidates.set(videoId, channelId);
+                    }
+                }
+            } catch (error) {
+                console.error(`YouTube feed error for ${channelId}:`, error.message);
+                failedChannels.add(channelId);
+            }
+        }
+
+        const liveByChannel = new Map();
+        const videoIds = Array.from(candidates.keys());
+
+        for (let i = 0; i < videoIds.length; i += MAX_IDS_PER_REQUEST) {
+            const batch = videoIds.slice(i, i + MAX_IDS_PER_REQUEST);
+            try {
+                const response = await this.apiGet('videos', {
+                    part: 'snippet,liveStreamingDetails',
+                    id: batch.join(',')
+                });
+
+                for (const video of response.data.items) {
+                    const state = this.videoState(video);
+
+                    if (state === 'ended') {
+                        this.markSettled(video.id);
+                    } else if (state === 'live') {
+                        liveByChannel.set(candidates.get(video.id), this.toStreamInfo(video));
+                    }
+                }
+            } catch (error) {
+                console.error('YouTube API error checking videos:', error.response?.data?.error?.message || error.message);
+                batch.forEach(videoId => failedChannels.add(candidates.get(videoId)));
+            }
+        }
+
+        return channelIds.map(channelId => {
+            if (liveByChannel.has(channelId)) {
+                return liveByChannel.get(channelId);
+            }
+            return !channelId || failedChannels.has(channelId) ? this.unknown() : this.offline();
+        });
+    }
+
+    // 'live', 'upcoming' (scheduled, not started yet) or 'ended' (finished
+    // streams and uploads, which can never go live)
+    videoState(video) {
+        const details = video.liveStreamingDetails;
+        if (!details || details.actualEndTime) {
+            return 'ended';
+        }
+        return details.actualStartTime && video.snippet.liveBroadcastContent === 'live' ? 'live' : 'upcoming';
+    }
+
+    // videos.list for any number of videos, 1 unit per 50. Videos that are
+    // deleted or private are missing from the result.
+    async getVideos(videoIds) {
+        const videos = [];
+        for (let i = 0; i < videoIds.length; i += MAX_IDS_PER_REQUEST) {
+            const response = await this.apiGet('videos', {
+                part: 'snippet,liveStreamingDetails',
+                id: videoIds.slice(i, i + MAX_IDS_PER_REQUEST).join(',')
+            });
+            videos.push(...response.data.items);
+        }
+        return videos;
+    }
+
+    // Push events name channels by ID
+    accountId(user) {
+        return user.id || this.resolvedIds.get(user.username) || user.username;
+    }
+
+    // WebSub (YOUTUBE_WEBSUB_CALLBACK_URL) replaces most polling while it works
+    async startPush(hooks) {
+        if (!this.config.YOUTUBE_WEBSUB_CALLBACK_URL) {
+            return false;
+        }
+        if (!this.config.YOUTUBE_API_KEY) {
+            console.error('YouTube WebSub needs YOUTUBE_API_KEY to check pushed videos, polling instead');
+            return false;
+        }
+        if (!this.config.YOUTUBE_WEBSUB_SECRET) {
+            console.error('YouTube WebSub needs YOUTUBE_WEBSUB_SECRET to authenticate notifications, polling instead');
+            return false;
+        }
+
+        this.webSub = new YouTubeWebSub(this, {
+            callbackUrl: this.config.YOUTUBE_WEBSUB_CALLBACK_URL,
+            secret: this.config.YOUTUBE_WEBSUB_SECRET,
+            hubUrl: this.config.YOUTUBE_WEBSUB_HUB_URL,
+            watchInterval: this.polling.interval
+        });
+        await this.webSub.start(hooks);
+        return true;
+    }
+
+    async syncPush(users) {
+        if (!this.webSub) {
+            return;
+        }
+
+        const channelIds = [];
+        for (const user of users) {
+            const channelId = await this.getChannelId(user);
+            if (channelId) {
+                channelIds.push(channelId);
+            }
+        }
+        await this.webSub.sync(channelIds);
+    }
+
+    async stopPush() {
+        if (this.webSub) {
+            this.webSub.stop();
+            this.webSub = null;
+        }
+    }
+
+    // Always prefer the channel ID stored by /track
+    async getChannelId(user) {
+        if (user.id) {
+            return user.id;
+        }
+        if (CHANNEL_ID_PATTERN.test(user.username)) {
+            return user.username;
+        }
+
+        if (!this.resolvedIds.has(user.username)) {
+            const channelId = await this.resolveId(user.username);
+            if (!channelId) {
+                console.error(`Could not resolve YouTube channel: ${user.username}`);
+                return null;
+            }
+            this.resolvedIds.set(user.username, channelId);
+        }
+        return this.resolvedIds.get(user.username);
+    }
+
+    async getRecentVideoIds(channelId) {
+        const response = await this.http.get(this.feedUrl, {
+            params: { channel_id: channelId },
+            timeout: 10000
+        });
+
+        const $ = cheerio.load(response.data, { xml: true });
+        return $('entry').map((i, entry) => $(entry).find('yt\\:videoId').text()).get().filter(Boolean);
+    }
+
+    markSettled(videoId) {
+        if (this.settledVideos.size >= MAX_SETTLED_VIDEOS) {
+            this.settledVideos.clear();
+        }
+        this.settledVideos.add(videoId);
+    }
+
+    toStreamInfo(video) {
+        const thumbnails = video.snippet.thumbnails || {};
+        return this.liveInfo({
+            streamId: video.id,
+            title: video.snippet.title,
+            thumbnailUrl: (thumbnails.maxres || thumbnails.high || thumbnails.medium || thumbnails.default)?.url || null,
+            viewerCount: parseInt(video.liveStreamingDetails.concurrentViewers, 10),
+            startedAt: video.liveStreamingDetails.actualStartTime
+        });
+    }
+
+    // A finished YouTube livestream stays available at the same video URL
+    async getVodUrl(user, session) {
+        return session.streamId ? `https://youtube.com/watch?v=${session.streamId}` : null;
+    }
+
+    async apiGet(resource, params) {
+        this.recordQuota(QUOTA_COST[resource] || 1);
+        return await this.http.get(`${this.apiUrl}/${resource}`, {
+            params: { ...params, key: this.config.YOUTUBE_API_KEY }
+        });
+    }
+
+    // The Data API quota resets at midnight Pacific time
+    recordQuota(units) {
+        const day = new Date().toLocaleDateString('en-US', { timeZone: 'America/Los_Angeles' });
+        if (day !== this.quotaDay) {
+            this.quotaDay = day;
+            this.quotaUsed = 0;
+        }
+        this.quotaUsed += units;
+    }
+
+    getStatusFields() {
+        this.recordQuota(0);
+        const percent = Math.round((this.quotaUsed / this.quotaLimit) * 100);
+        const fields = [{
+            name: 'YouTube API Quota',
+            value: `~${this.quotaUsed.toLocaleString('en-US')} / ${this.quotaLimit.toLocaleString('en-US')} units today (${percent}%)`,
+            inline: false
+        }];
+
+        if (this.webSub) {
+            fields.push({
+                name: 'YouTube WebSub',
+                value: this.webSub.active
+                    ? `Active (${this.webSub.getLeaseCount()} channel leases)`
+                    : `Not active (${this.webSub.getLeaseCount()} of ${this.webSub.wanted.size} channels verified), polling instead`,
+                inline: false
+            });
+        }
+        return fields;
+    }
+
+    buildUrl(user) {
+        const channelId = user.id || user.username;
+
+        // If it's a channel ID, use channel URL
+        if (CHANNEL_ID_PATTERN.test(channelId)) {
+            return `https://youtube.com/channel/${channelId}/live`;
+        }
+        // Otherwise assume it's a username/handle
+        return `https://youtube.com/@${channelId.replace(/^@/, '')}/live`;
+    }
+}
+
+module.exports = YouTubeProvider;
@@ -1,6 +1,8 @@
 // Separate script to register slash commands
 require('dotenv').config();
-const { REST, Routes, SlashCommandBuilder } = require('discord.js');
+const { REST, Routes } = require('discord.js');
+const { buildCommands } = require('./commands');
+const { loadProviders, getPlatformChoices } = require('./platforms');
 
 const CONFIG = {
     DISCORD_TOKEN: process.env.DISCORD_TOKEN,
@@ -8,55 +10,8 @@ const CONFIG = {
     GUILD_ID: process.env.GUILD_ID // Optional: for guild-specific commands
 };
 
-const commands = [
-    new SlashCommandBuilder()
-        .setName('track')
-        .setDescription('Add a user to the monitoring list')
-        .addStringOption(option =>
-            option.setName('platform')
-                .setDescription('Platform to monitor')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'YouTube', value: 'youtube' },
-                    { name: 'Twitch', value: 'twitch' },
-                    { name: 'TikTok', value: 'tiktok' },
-                    { name: 'Kick', value: 'kick' }
-                ))
-        .addStringOption(option =>
-            option.setName('username')
-                .setDescription('Username to monitor')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('display_name')
-                .setDescription('Display name for notifications')
-                .setRequired(false)),
-
-    new SlashCommandBuilder()
-        .setName('remove')
-        .setDescription('Remove a user from the monitoring list')
-        .addStringOption(option =>
-            option.setName('platform')
-                .setDescription('Platform')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'YouTube', value: 'youtube' },
-                    { name: 'Twitch', value: 'twitch' },
-                    { name: 'TikTok', value: 'tiktok' },
-                    { name: 'Kick', value: 'kick' }
-                ))
-        .addStringOption(option =>
-            option.setName('username')
-                .setDescription('Username to remove')
-                .setRequired(true)),
-
-    new SlashCommandBuilder()
-        .setName('list')
-        .setDescription('List all monitored users'),
-
-    new SlashCommandBuilder()
-        .setName('ping')
-        .setDescription('Test if the bot is responding')
-];
+// Platform choices come from the same providers the bot loads
+const commands = buildCommands(getPlatformChoices(loadProviders(CONFIG)));
 
 async function registerCommands() {
     if (!CONFIG.DISCORD_TOKEN || !CONFIG.DISCORD_CLIENT_ID) {
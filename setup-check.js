@@ -6,11 +6,12 @@ console.log('🔍 Environment Setup Check\n');
 
 const requiredVars = [
     'DISCORD_TOKEN',
-    'DISCORD_CLIENT_ID',
-    'WEBHOOK_URL'
+    'DISCORD_CLIENT_ID'
 ];
 
 const optionalVars = [
+    'WEBHOOK_URL',
+    'GUILD_ID',
     'YOUTUBE_API_KEY',
     'TWITCH_CLIENT_ID',
     'TWITCH_CLIENT_SECRET'
@@ -0,0 +1,471 @@
+// End to end: tracked users go live and offline on the platform stand-ins
+// and the announcements arrive at the fake Discord webhook
+const { test, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { StreamMonitorBot } = require('../index');
+const { getPlatformChoices } = require('../platforms');
+const { startHelix, startYouTube, startKick, startDiscordWebhook } = require('./helpers/stand-ins');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+const GUILD_ID = '111111111111111111';
+const CHANNEL_ID = 'UC1234567890abcdefghijkl';
+
+let helix;
+let youtube;
+let kick;
+let discord;
+let config;
+let bot;
+
+function createBot() {
+    const created = new StreamMonitorBot(config);
+    return created.loadState().then(() => created);
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    [helix, youtube, kick, discord] = await Promise.all([startHelix(), startYouTube(), startKick(), startDiscordWebhook()]);
+});
+
+after(async () => {
+    await Promise.all([helix.close(), youtube.close(), kick.close(), discord.close()]);
+});
+
+beforeEach(async () => {
+    helix.state.users.clear();
+    helix.state.streams.clear();
+    youtube.state.channels.clear();
+    youtube.state.videos.clear();
+    kick.state.channels.clear();
+    discord.messages.clear();
+
+    helix.addUser('ninja', '19571641');
+    youtube.addChannel(CHANNEL_ID, '@examplecreator', 'Example Creator');
+    kick.addChannel('xqc', 676);
+
+    config = createTestConfig({
+        ...helix.config,
+        ...youtube.config,
+        ...kick.config,
+        WEBHOOK_URL: discord.webhookUrl,
+        DEFAULT_GUILD_ID: GUILD_ID,
+        OFFLINE_CHECKS: 2
+    });
+    bot = await createBot();
+});
+
+afterEach(async () => {
+    await bot.stop();
+    removeTestFiles(config);
+});
+
+test('platform choices keep the provider order', () => {
+    assert.deepEqual(getPlatformChoices(bot.providers).map(choice => choice.value), ['youtube', 'twitch', 'tiktok', 'kick']);
+});
+
+test('tracking validates accounts against the platform', async () => {
+    assert.deepEqual(await bot.trackUser(GUILD_ID, 'twitch', 'nobody'), { status: 'invalid', message: 'Twitch user "nobody" not found' });
+    assert.deepEqual(await bot.trackUser(GUILD_ID, 'kick', 'nobody'), { status: 'invalid', message: 'Kick channel "nobody" not found' });
+    assert.equal((await bot.trackUser(GUILD_ID, 'youtube', '@nobody')).status, 'invalid');
+
+    const added = await bot.trackUser(GUILD_ID, 'youtube', '@examplecreator', 'Example Creator');
+    assert.equal(added.status, 'added');
+    assert.equal(added.user.id, CHANNEL_ID);
+    assert.equal(added.key, `${GUILD_ID}:youtube:${CHANNEL_ID}`);
+    assert.equal((await bot.trackUser(GUILD_ID, 'youtube', '@examplecreator')).status, 'duplicate');
+
+    assert.equal((await bot.trackUser(GUILD_ID, 'twitch', 'ninja', 'Ninja')).status, 'added');
+    assert.deepEqual(bot.getGuildUsers(GUILD_ID).map(([, user]) => user.platform).sort(), ['twitch', 'youtube']);
+});
+
+test('links, handles and case variants all name the same account', async () => {
+    const added = await bot.trackUser(GUILD_ID, 'twitch', 'https://www.twitch.tv/Ninja');
+    assert.equal(added.key, `${GUILD_ID}:twitch:19571641`);
+    assert.deepEqual([added.user.username, added.user.displayName, added.user.customName], ['ninja', 'ninja', false]);
+
+    assert.equal((await bot.trackUser(GUILD_ID, 'twitch', 'NINJA')).status, 'duplicate');
+    assert.equal((await bot.trackUser(GUILD_ID, 'twitch', '@ninja')).status, 'duplicate');
+    assert.equal((await bot.trackUser(GUILD_ID, 'youtube', 'https://youtube.com/@ExampleCreator')).status, 'added');
+    assert.equal((await bot.trackUser(GUILD_ID, 'youtube', `youtube.com/channel/${CHANNEL_ID}`)).status, 'duplicate');
+    assert.equal((await bot.trackUser(GUILD_ID, 'kick', 'kick.com/xQc')).user.username, 'xqc');
+    assert.equal((await bot.trackUser(GUILD_ID, 'kick', 'https://twitch.tv/xqc')).status, 'invalid');
+
+    assert.equal((await bot.untrackUser(GUILD_ID, 'twitch', 'Ninja')).id, '19571641');
+    assert.equal((await bot.untrackUser(GUILD_ID, 'youtube', CHANNEL_ID)).id, CHANNEL_ID);
+    assert.equal(bot.getGuildUsers(GUILD_ID).length, 1);
+});
+
+test('renamed streamers keep being checked and their names are refreshed', async () => {
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja');
+    await bot.trackUser('222222222222222222', 'twitch', 'ninja', 'The Ninja');
+    helix.rename('ninja', 'NinjaRenamed');
+    helix.goLive('ninjarenamed', { user_id: '19571641' });
+
+    await bot.checkAllStreams();
+
+    const users = Array.from(bot.monitoredUsers.values());
+    assert.deepEqual(users.map(user => [user.username, user.displayName]), [['ninjarenamed', 'NinjaRenamed'], ['ninjarenamed', 'The Ninja']]);
+    // The second server has no notification channel and must not use this server's webhook
+    assert.equal(discord.messages.size, 1);
+    assert.deepEqual([...discord.messages.values()].map(message => message.embeds[0].url), ['https://twitch.tv/ninjarenamed']);
+});
+
+test('tracking a renamed Kick channel by its new name updates the entry', async () => {
+    await bot.trackUser(GUILD_ID, 'kick', 'xqc');
+    await bot.handleSubscribeCommand(memberInteraction('1001', { options: { platform: 'kick', username: 'xqc' } }));
+    kick.state.channels.delete('xqc');
+    kick.addChannel('xqcow', 676);
+    kick.goLive('xqcow');
+
+    const result = await bot.trackUser(GUILD_ID, 'kick', 'https://kick.com/xQcOW');
+    assert.equal(result.status, 'updated');
+    assert.equal(result.previousUsername, 'xqc');
+    assert.deepEqual(bot.getGuildUsers(GUILD_ID).map(([key, user]) => [key, user.username, user.displayName]),
+        [[`${GUILD_ID}:kick:676`, 'xqcow', 'xqcow']]);
+    assert.equal((await bot.trackUser(GUILD_ID, 'kick', 'xqcow')).status, 'duplicate');
+
+    await bot.checkAllStreams();
+    assert.equal([...discord.messages.values()][0].embeds[0].url, 'https://kick.com/xqcow');
+    assert.equal(bot.getSubscribedUsers(GUILD_ID, '1001').length, 1);
+});
+
+test('entries saved under usernames are migrated and looked up by ID', async () => {
+    const fs = require('fs');
+    await bot.stop();
+    fs.writeFileSync(config.STORAGE_FILE, JSON.stringify({
+        schemaVersion: 1,
+        collections: {
+            users: {
+                [`${GUILD_ID}:twitch:Ninja`]: { guildId: GUILD_ID, platform: 'twitch', username: 'Ninja', displayName: 'Ninja', addedAt: '2024-01-01T00:00:00.000Z' },
+                [`${GUILD_ID}:twitch:ninja`]: { guildId: GUILD_ID, platform: 'twitch', username: 'ninja', displayName: 'ninja', addedAt: '2024-01-02T00:00:00.000Z' },
+                [`${GUILD_ID}:youtube:@examplecreator`]: {
+                    guildId: GUILD_ID, platform: 'youtube', username: '@examplecreator', displayName: 'Example', resolvedId: CHANNEL_ID, addedAt: '2024-01-01T00:00:00.000Z'
+                }
+            },
+            sessions: {
+                [`${GUILD_ID}:twitch:Ninja`]: { startedAt: '2024-05-01T18:00:00.000Z', lastSeenAt: '2024-05-01T18:00:00.000Z', offlineChecks: 0 }
+            }
+        }
+    }));
+
+    bot = await createBot();
+    assert.deepEqual(Array.from(bot.monitoredUsers.keys()), [`${GUILD_ID}:twitch:ninja`, `${GUILD_ID}:youtube:${CHANNEL_ID}`]);
+    assert.equal(bot.monitoredUsers.get(`${GUILD_ID}:youtube:${CHANNEL_ID}`).customName, true);
+    assert.ok(bot.streamSessions.has(`${GUILD_ID}:twitch:ninja`));
+
+    await bot.refreshAccounts('twitch');
+    assert.deepEqual(Array.from(bot.monitoredUsers.keys()), [`${GUILD_ID}:youtube:${CHANNEL_ID}`, `${GUILD_ID}:twitch:19571641`]);
+    assert.ok(bot.streamSessions.has(`${GUILD_ID}:twitch:19571641`));
+});
+
+test('a stream is announced once and the message is closed when it ends', async () => {
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja', 'Ninja');
+    helix.goLive('ninja', { title: 'Ranked grind', viewer_count: 4321 });
+
+    await bot.checkAllStreams();
+    await bot.checkAllStreams();
+
+    assert.equal(discord.messages.size, 1);
+    const [message] = discord.messages.values();
+    const [embed] = message.embeds;
+    assert.equal(embed.title, '🔴 Ninja is now LIVE!');
+    assert.equal(embed.description, 'Ranked grind');
+    assert.equal(embed.url, 'https://twitch.tv/ninja');
+    assert.equal(embed.color, 0x9146FF);
+    assert.deepEqual(embed.fields.map(field => [field.name, field.value]), [
+        ['Platform', 'Twitch'],
+        ['Category', 'Just Chatting'],
+        ['Viewers', '4,321']
+    ]);
+    assert.deepEqual(message.allowed_mentions, { parse: [] });
+
+    // One offline check is not enough to end the stream
+    helix.goOffline('ninja');
+    await bot.checkAllStreams();
+    assert.equal(discord.messages.get(message.id).embeds[0].title, '🔴 Ninja is now LIVE!');
+
+    await bot.checkAllStreams();
+    const ended = discord.messages.get(message.id).embeds[0];
+    assert.equal(ended.title, '⚫ Ninja was live');
+    assert.equal(ended.fields.find(field => field.name === 'Peak Viewers').value, '4,321');
+    assert.equal(discord.messages.size, 1);
+    assert.equal(bot.streamHistory.size, 1);
+});
+
+test('failed checks leave a live stream alone', async () => {
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja');
+    helix.goLive('ninja');
+    await bot.checkAllStreams();
+
+    bot.providers.get('twitch').apiUrl = 'http://127.0.0.1:9/helix';
+    await bot.checkAllStreams();
+    await bot.checkAllStreams();
+
+    assert.equal(bot.streamSessions.size, 1);
+    assert.match([...discord.messages.values()][0].embeds[0].title, /is now LIVE/);
+});
+
+test('live sessions survive a restart without a second announcement', async () => {
+    await bot.trackUser(GUILD_ID, 'youtube', '@examplecreator', 'Example Creator');
+    youtube.goLive(CHANNEL_ID, 'live1', { title: 'Live Q&A' });
+    await bot.checkAllStreams();
+    assert.equal(discord.messages.size, 1);
+    assert.equal([...discord.messages.values()][0].embeds[0].description, 'Live Q&A');
+
+    await bot.stop();
+    bot = await createBot();
+    assert.equal(bot.streamSessions.size, 1);
+
+    await bot.checkAllStreams();
+    assert.equal(discord.messages.size, 1);
+});
+
+test('a server template sets the message content and allowed mentions', async () => {
+    bot.guildSettings.set(GUILD_ID, {
+        template: { message: '{name} is live with {title}: {url}', mentionRoleId: '222222222222222222', mentionEveryone: false, color: 0x00FF00 }
+    });
+    await bot.trackUser(GUILD_ID, 'kick', 'xqc', 'xQc');
+    kick.goLive('xqc', { session_title: 'Just chatting' });
+
+    await bot.checkAllStreams();
+
+    const [message] = discord.messages.values();
+    assert.equal(message.content, '<@&222222222222222222> xQc is live with Just chatting: https://kick.com/xqc');
+    assert.deepEqual(message.allowed_mentions, { parse: [], roles: ['222222222222222222'] });
+    assert.equal(message.embeds[0].color, 0x00FF00);
+});
+
+// The parts of a discord.js AutocompleteInteraction the bot reads
+function autocomplete(commandName, options, { manager = true } = {}) {
+    const interaction = {
+        commandName,
+        guildId: GUILD_ID,
+        inGuild: () => true,
+        memberPermissions: { has: () => manager },
+        options: {
+            getFocused: () => ({ name: 'username', value: options.username }),
+            getString: name => options[name] ?? null
+        },
+        respond: async choices => { interaction.choices = choices; }
+    };
+    return interaction;
+}
+
+test('/remove suggests tracked streamers and /track suggests platform accounts', async () => {
+    helix.addUser('ninjasaurus', '2');
+    helix.goLive('ninja');
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja', 'Ninja');
+    await bot.trackUser(GUILD_ID, 'kick', 'xqc', 'xQc');
+
+    const remove = autocomplete('remove', { username: 'X' });
+    await bot.handleAutocomplete(remove);
+    assert.deepEqual(remove.choices, [{ name: 'xQc (Kick: xqc)', value: 'xqc' }]);
+
+    const removeTwitch = autocomplete('remove', { platform: 'twitch', username: '' });
+    await bot.handleAutocomplete(removeTwitch);
+    assert.deepEqual(removeTwitch.choices.map(choice => choice.value), ['ninja']);
+
+    const track = autocomplete('track', { platform: 'twitch', username: 'ninj' });
+    await bot.handleAutocomplete(track);
+    assert.deepEqual(track.choices, [
+        { name: 'ninja 🔴 live', value: 'ninja' },
+        { name: 'ninjasaurus', value: 'ninjasaurus' }
+    ]);
+
+    const outsider = autocomplete('remove', { username: '' }, { manager: false });
+    await bot.handleAutocomplete(outsider);
+    assert.deepEqual(outsider.choices, []);
+});
+
+// The parts of a discord.js command or button interaction the bot reads
+function memberInteraction(userId, { commandName, subcommand, options = {}, customId, guildId = GUILD_ID } = {}) {
+    const interaction = {
+        commandName,
+        customId,
+        guildId,
+        user: { id: userId },
+        inGuild: () => true,
+        options: {
+            getSubcommand: () => subcommand,
+            getString: name => options[name] ?? null,
+            getInteger: name => options[name] ?? null,
+            getChannel: name => options[name] ?? null
+        },
+        reply: async reply => { interaction.replied = reply; }
+    };
+    return interaction;
+}
+
+test('subscribers are alerted by DM or one batched mention, outside their quiet hours', async () => {
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja', 'Ninja');
+
+    const button = memberInteraction('1001', { customId: 'notify:twitch:19571641' });
+    await bot.handleButton(button);
+    assert.match(button.replied.content, /alerted when \*\*Ninja\*\* goes live/);
+
+    for (const userId of ['1002', '1003', '1004']) {
+        await bot.handleSubscribeCommand(memberInteraction(userId, { commandName: 'subscribe', options: { platform: 'twitch', username: 'NINJA' } }));
+    }
+    await bot.handleSubscriptionsCommand(memberInteraction('1002', { subcommand: 'delivery', options: { method: 'mention' } }));
+    const hour = new Date().getUTCHours();
+    await bot.handleSubscriptionsCommand(memberInteraction('1003', { subcommand: 'quiet-hours', options: { start: hour, end: (hour + 1) % 24 } }));
+
+    const dms = [];
+    mock.method(bot.client.users, 'fetch', async id => ({
+        send: async message => {
+            if (id === '1004') {
+                throw new Error('Cannot send messages to this user');
+            }
+            dms.push([id, message]);
+        }
+    }));
+
+    helix.goLive('ninja');
+    await bot.checkAllStreams();
+
+    assert.deepEqual(dms.map(([id, message]) => [id, message.content]), [['1001', '🔔 **Ninja** is live on Twitch: https://twitch.tv/ninja']]);
+    const [announcement, followUp] = discord.messages.values();
+    assert.equal(announcement.components[0].components[0].custom_id, 'notify:twitch:19571641');
+    assert.equal(followUp.content, '🔔 **Ninja** is live on Twitch! <@1002> <@1004>');
+    assert.deepEqual(followUp.allowed_mentions, { parse: [], users: ['1002', '1004'] });
+    assert.equal(discord.messages.size, 2);
+});
+
+test('subscriptions are listed per member and dropped with the streamer', async () => {
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja', 'Ninja');
+    await bot.trackUser(GUILD_ID, 'kick', 'xqc', 'xQc');
+    await bot.handleButton(memberInteraction('1001', { customId: 'notify:twitch:19571641' }));
+    await bot.handleButton(memberInteraction('1001', { customId: 'notify:kick:676' }));
+
+    const suggestions = { ...autocomplete('unsubscribe', { username: '' }), user: { id: '1001' } };
+    suggestions.respond = async choices => { suggestions.choices = choices; };
+    await bot.handleAutocomplete(suggestions);
+    assert.deepEqual(suggestions.choices.map(choice => choice.value), ['ninja', 'xqc']);
+
+    // Pressing the button again unsubscribes
+    const again = memberInteraction('1001', { customId: 'notify:kick:676' });
+    await bot.handleButton(again);
+    assert.match(again.replied.content, /won't be alerted about xQc/);
+
+    const list = memberInteraction('1001', { subcommand: 'list' });
+    await bot.handleSubscriptionsCommand(list);
+    assert.match(list.replied.embeds[0].data.description, /^\[Ninja\]\(https:\/\/twitch.tv\/ninja\) · Twitch · ⚫ offline$/);
+
+    await bot.untrackUser(GUILD_ID, 'twitch', 'ninja');
+    assert.equal(bot.subscriptions.size, 0);
+
+    const empty = memberInteraction('1001', { subcommand: 'list' });
+    await bot.handleSubscriptionsCommand(empty);
+    assert.match(empty.replied.content, /not subscribed to anyone/);
+});
+
+test('other servers never fall back to the default webhook and must use a webhook in their channel', async (t) => {
+    const OTHER_GUILD = '222222222222222222';
+    await bot.trackUser(OTHER_GUILD, 'kick', 'xqc', 'xQc');
+    kick.goLive('xqc');
+    await bot.checkAllStreams();
+    assert.equal(discord.messages.size, 0);
+
+    const webhookUrl = 'https://discord.com/api/webhooks/123/test-token';
+    t.mock.method(bot.http, 'get', async url => ({ data: { id: '123', channel_id: url === webhookUrl ? '555' : null } }));
+    const set = memberInteraction('1001', { subcommand: 'set', options: { channel: { id: '777' }, webhook_url: webhookUrl }, guildId: OTHER_GUILD });
+    await bot.handleNotifyChannelCommand(set);
+    assert.match(set.replied.content, /posts in <#555>, not <#777>/);
+    assert.equal(bot.guildSettings.has(OTHER_GUILD), false);
+});
+
+// A deferred /import of a CSV file; edits collects every editReply
+function importInteraction(t, csv) {
+    t.mock.method(bot.http, 'get', async () => ({ data: csv }));
+    const interaction = {
+        guildId: GUILD_ID,
+        edits: [],
+        options: { getAttachment: () => ({ name: 'streamers.csv', size: csv.length, url: 'https://cdn.discordapp.com/streamers.csv' }) },
+        deferReply: async () => { interaction.deferred = true; },
+        editReply: async reply => { interaction.edits.push(reply); }
+    };
+    return interaction;
+}
+
+test('imports report unknown platforms and missing usernames per row and refuse more than 200 rows', async (t) => {
+    await bot.trackUser(GUILD_ID, 'kick', 'xqc', 'xQc');
+    const interaction = importInteraction(t, 'platform,username,display_name\nmyspace,tom,Tom\nkick,,\nkick,xqc,\n');
+    await bot.handleImportCommand(interaction);
+    assert.equal(interaction.edits.pop().content, [
+        '⚠️ Finished importing streamers.csv: 0 added, 1 skipped as duplicates, 2 failed',
+        '**Skipped (already tracked):**\nxqc on Kick',
+        '**Failed:**\nRow 2: tom on myspace - unknown platform\nRow 3: missing username'
+    ].join('\n\n'));
+
+    const rows = Array.from({ length: 201 }, (_, i) => `twitch,user${i},`).join('\n');
+    const tooMany = importInteraction(t, `platform,username,display_name\n${rows}`);
+    await bot.handleImportCommand(tooMany);
+    assert.deepEqual(tooMany.edits, ['❌ streamers.csv has 201 rows; import at most 200 at a time.']);
+});
+
+test('an import that runs out of time lists the rows it did not check', async (t) => {
+    const rows = Array.from({ length: 20 }, (_, i) => `myspace,user${i},`).join('\n');
+    const interaction = importInteraction(t, `platform,username,display_name\n${rows}`);
+    // Each look at the clock moves it on a minute
+    const realNow = Date.now;
+    let ticks = 0;
+    t.mock.method(Date, 'now', () => realNow() + ticks++ * 60 * 1000);
+
+    await bot.handleImportCommand(interaction);
+
+    const summary = interaction.edits[interaction.edits.length - 1].content;
+    const [, failed, notChecked] = /(\d+) failed, (\d+) not checked in time/.exec(summary);
+    assert.equal(Number(failed) + Number(notChecked), 20);
+    assert.ok(Number(notChecked) > 0);
+    assert.match(summary, /\*\*Not checked \(time limit reached; import these rows again\):\*\*\nRow \d+: user\d+ on myspace\n/);
+    assert.ok(summary.endsWith('Row 21: user19 on myspace'));
+});
+
+test('errors after a deferred reply or an expired token never escape the listener', async () => {
+    const calls = [];
+    const expired = Object.assign(new Error('Invalid Webhook Token'), { code: 50027 });
+    const interaction = {
+        deferred: true,
+        replied: false,
+        reply: async () => { calls.push('reply'); },
+        editReply: async () => { calls.push('editReply'); throw expired; },
+        followUp: async () => { calls.push('followUp'); }
+    };
+
+    await bot.replyWithError(interaction, 'An error occurred while processing your command.');
+    interaction.replied = true;
+    await bot.replyWithError(interaction, 'An error occurred while processing your command.');
+    assert.deepEqual(calls, ['editReply', 'followUp']);
+});
+
+test('templates only ping @everyone or locked roles for members who could themselves', async () => {
+    const roles = new Map([
+        ['333', { id: '333', name: 'Stream Alerts', mentionable: true }],
+        ['444', { id: '444', name: 'Moderators', mentionable: false }]
+    ]);
+    const templateSet = (options, canMentionEveryone) => {
+        const interaction = memberInteraction('1001', { subcommand: 'set', options: { message: '{name} is live', ...options } });
+        interaction.memberPermissions = { has: () => canMentionEveryone };
+        interaction.guild = { roles: { fetch: async id => roles.get(id) || null } };
+        interaction.options.getRole = name => options[name] ?? null;
+        interaction.options.getBoolean = name => options[name] ?? null;
+        return interaction;
+    };
+
+    const everyone = templateSet({ mention_everyone: true }, false);
+    await bot.handleTemplateCommand(everyone);
+    assert.equal(everyone.replied.content, '❌ Pinging @everyone needs the Mention Everyone permission.');
+
+    const locked = templateSet({ message: '<@&444> {name} is live' }, false);
+    await bot.handleTemplateCommand(locked);
+    assert.match(locked.replied.content, /^❌ Moderators can't be mentioned by everyone/);
+    assert.equal(bot.guildSettings.get(GUILD_ID)?.template, undefined);
+
+    const open = templateSet({ mention_role: roles.get('333') }, false);
+    await bot.handleTemplateCommand(open);
+    assert.equal(bot.guildSettings.get(GUILD_ID).template.mentionRoleId, '333');
+
+    const allowed = templateSet({ mention_everyone: true, mention_role: roles.get('444') }, true);
+    await bot.handleTemplateCommand(allowed);
+    assert.deepEqual(bot.guildSettings.get(GUILD_ID).template, { message: '{name} is live', mentionRoleId: '444', mentionEveryone: true, color: null });
+});
@@ -0,0 +1,141 @@
+// Twitch EventSub webhooks from the fake sender through to the announcement
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { StreamMonitorBot } = require('../index');
+const { verifySignature, signMessage } = require('../platforms/twitch-eventsub');
+const { sendFakeEvent, buildEvent, buildSubscription } = require('./fake-eventsub');
+const { startHelix, startDiscordWebhook } = require('./helpers/stand-ins');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+const GUILD_ID = '111111111111111111';
+const SECRET = 'eventsub-test-secret';
+
+let helix;
+let discord;
+let config;
+let bot;
+let callbackUrl;
+
+async function freePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    return port;
+}
+
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(condition(), 'condition not met in time');
+}
+
+function send(type, event, options = {}) {
+    return sendFakeEvent({
+        url: callbackUrl,
+        secret: SECRET,
+        subscription: { ...buildSubscription(type, '19571641'), transport: { method: 'webhook', callback: callbackUrl } },
+        event,
+        ...options
+    });
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    [helix, discord] = await Promise.all([startHelix(), startDiscordWebhook()]);
+    helix.addUser('ninja', '19571641');
+
+    const port = await freePort();
+    callbackUrl = `http://127.0.0.1:${port}/twitch/eventsub`;
+    config = createTestConfig({
+        ...helix.config,
+        WEBHOOK_URL: discord.webhookUrl,
+        DEFAULT_GUILD_ID: GUILD_ID,
+        HTTP_PORT: port,
+        TWITCH_EVENTSUB: 'webhook',
+        TWITCH_EVENTSUB_CALLBACK_URL: callbackUrl,
+        TWITCH_EVENTSUB_SECRET: SECRET
+    });
+
+    bot = new StreamMonitorBot(config);
+    await bot.loadState();
+    bot.startHttpServer();
+    await once(bot.httpServer, 'listening');
+    await bot.startPush();
+});
+
+after(async () => {
+    await bot.stop();
+    await Promise.all([helix.close(), discord.close()]);
+    removeTestFiles(config);
+});
+
+test('signatures cover the message ID, timestamp and body', () => {
+    const headers = {
+        'twitch-eventsub-message-id': 'abc',
+        'twitch-eventsub-message-timestamp': '2024-05-01T18:00:00Z',
+        'twitch-eventsub-message-signature': signMessage(SECRET, 'abc', '2024-05-01T18:00:00Z', '{"a":1}')
+    };
+
+    assert.equal(verifySignature(SECRET, headers, Buffer.from('{"a":1}')), true);
+    assert.equal(verifySignature(SECRET, headers, Buffer.from('{"a":2}')), false);
+    assert.equal(verifySignature('other-secret-value', headers, Buffer.from('{"a":1}')), false);
+});
+
+test('tracking a streamer subscribes to stream.online and stream.offline', async () => {
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja', 'Ninja');
+    await waitFor(() => helix.state.subscriptions.length === 2);
+
+    assert.deepEqual(helix.state.subscriptions.map(subscription => subscription.type).sort(), ['stream.offline', 'stream.online']);
+    assert.ok(helix.state.subscriptions.every(subscription => subscription.transport.callback === callbackUrl));
+});
+
+test('the callback answers verification challenges', async () => {
+    const response = await send('stream.online', undefined, { messageType: 'webhook_callback_verification', challenge: 'pogchamp-kappa' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.data, 'pogchamp-kappa');
+});
+
+test('polling slows down once every subscription is enabled', async () => {
+    helix.state.subscriptions.forEach(subscription => { subscription.status = 'enabled'; });
+    await bot.providers.get('twitch').eventSub.sync();
+
+    assert.equal(bot.providers.get('twitch').eventSub.active, true);
+    assert.equal(bot.scheduler.jobs.get('twitch').interval, config.PUSH_POLL_INTERVAL);
+});
+
+test('messages with a bad signature or an old timestamp are rejected', async () => {
+    const event = buildEvent('stream.online', 'ninja', '19571641');
+
+    assert.equal((await sendFakeEvent({ url: callbackUrl, secret: 'wrong-secret-value', subscription: buildSubscription('stream.online'), event })).status, 403);
+    const stale = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+    assert.equal((await send('stream.online', event, { timestamp: stale })).status, 403);
+    assert.equal(discord.messages.size, 0);
+});
+
+test('stream.online announces the stream and stream.offline closes it', async () => {
+    helix.goLive('ninja', { title: 'Pushed live' });
+    const online = await send('stream.online', buildEvent('stream.online', 'ninja', '19571641'), { messageId: 'online-1' });
+    assert.equal(online.status, 204);
+
+    await waitFor(() => discord.messages.size === 1);
+    const [message] = discord.messages.values();
+    assert.equal(message.embeds[0].description, 'Pushed live');
+
+    // Twitch redelivers messages; the same ID must not announce twice
+    await send('stream.online', buildEvent('stream.online', 'ninja', '19571641'), { messageId: 'online-1' });
+
+    helix.goOffline('ninja');
+    await send('stream.offline', buildEvent('stream.offline', 'ninja', '19571641'));
+    await waitFor(() => discord.messages.get(message.id).embeds[0].title === '⚫ Ninja was live');
+    assert.equal(discord.messages.size, 1);
+});
+
+test('removing the last streamer deletes its subscriptions', async () => {
+    await bot.untrackUser(GUILD_ID, 'twitch', 'ninja');
+    await waitFor(() => helix.state.subscriptions.length === 0);
+});
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// Local stand-in for Twitch EventSub, for trying the bot's EventSub mode
+// without exposing it to the internet.
+//
+// Webhook mode signs and POSTs one message to the bot's callback:
+//   node test/fake-eventsub.js webhook --url http://127.0.0.1:8080/twitch/eventsub \
+//       --secret <TWITCH_EVENTSUB_SECRET> --type stream.online --login somestreamer
+//   (--type also accepts stream.offline, verification and revocation)
+//
+// WebSocket mode serves the EventSub WebSocket protocol. Point
+// TWITCH_EVENTSUB_WS_URL at it, then type "online <login>" or
+// "offline <login>" to send notifications to every connected client:
+//   node test/fake-eventsub.js websocket --port 8081
+//
+// Subscriptions are still created through Helix, so WebSocket mode needs
+// real credentials; the Twitch CLI mock API can stand in for those.
+const crypto = require('crypto');
+const readline = require('readline');
+const axios = require('axios');
+const WebSocket = require('ws');
+const { signMessage } = require('../platforms/twitch-eventsub');
+
+function buildEvent(type, login, id = '1000') {
+    const broadcaster = {
+        broadcaster_user_id: id,
+        broadcaster_user_login: login.toLowerCase(),
+        broadcaster_user_name: login
+    };
+
+    if (type === 'stream.online') {
+        return { ...broadcaster, id: String(Date.now()), type: 'live', started_at: new Date().toISOString() };
+    }
+    return broadcaster;
+}
+
+function buildSubscription(type, id = '1000', status = 'enabled') {
+    return {
+        id: crypto.randomUUID(),
+        status,
+        type,
+        version: '1',
+        condition: { broadcaster_user_id: id },
+        created_at: new Date().toISOString()
+    };
+}
+
+// POST a signed webhook message. messageType is notification,
+// webhook_callback_verification or revocation. Returns the axios response.
+async function sendFakeEvent({ url, secret, messageType = 'notification', subscription, event, challenge, messageId, timestamp }) {
+    const body = JSON.stringify(
+        messageType === 'webhook_callback_verification' ? { challenge, subscription }
+            : messageType === 'revocation' ? { subscription }
+                : { subscription, event }
+    );
+    const id = messageId || crypto.randomUUID();
+    const sentAt = timestamp || new Date().toISOString();
+
+    return await axios.post(url, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'Twitch-Eventsub-Message-Id': id,
+            'Twitch-Eventsub-Message-Timestamp': sentAt,
+            'Twitch-Eventsub-Message-Signature': signMessage(secret, id, sentAt, body),
+            'Twitch-Eventsub-Message-Type': messageType,
+            'Twitch-Eventsub-Subscription-Type': subscription.type
+        },
+        validateStatus: () => true
+    });
+}
+
+// A WebSocket server speaking the EventSub session protocol. Every
+// connection gets a session_welcome; notify() sends to all of them.
+function createFakeEventSubServer({ port = 0, keepaliveSeconds = 10 } = {}) {
+    const server = new WebSocket.Server({ port });
+    const sessions = new Map(); // socket -> session ID
+
+    const send = (socket, messageType, payload) => {
+        socket.send(JSON.stringify({
+            metadata: { message_id: crypto.randomUUID(), message_type: messageType, message_timestamp: new Date().toISOString() },
+            payload
+        }));
+    };
+
+    server.on('connection', socket => {
+        const sessionId = crypto.randomUUID();
+        sessions.set(socket, sessionId);
+        send(socket, 'session_welcome', {
+            session: { id: sessionId, status: 'connected', keepalive_timeout_seconds: keepaliveSeconds, reconnect_url: null }
+        });
+
+        const keepalive = setInterval(() => send(socket, 'session_keepalive', {}), keepaliveSeconds * 1000 / 2);
+        socket.on('close', () => {
+            clearInterval(keepalive);
+            sessions.delete(socket);
+        });
+    });
+
+    return {
+        server,
+        sessions,
+        notify(type, login, id) {
+            for (const [socket, sessionId] of sessions) {
+                const subscription = { ...buildSubscription(type, id), transport: { method: 'websocket', session_id: sessionId } };
+                send(socket, 'notification', { subscription, event: buildEvent(type, login, id) });
+            }
+        },
+        // Ask clients to move to another URL, as Twitch does before maintenance
+        reconnect(url) {
+            for (const [socket, sessionId] of sessions) {
+                send(socket, 'session_reconnect', { session: { id: sessionId, status: 'reconnecting', reconnect_url: url } });
+            }
+        },
+        close() {
+            return new Promise(resolve => {
+                for (const socket of sessions.keys()) {
+                    socket.terminate();
+                }
+                server.close(resolve);
+            });
+        }
+    };
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const [mode, ...rest] = process.argv.slice(2);
+    const options = parseArgs(rest);
+
+    if (mode === 'webhook') {
+        if (!options.url || !options.secret) {
+            console.error('Usage: fake-eventsub.js webhook --url <callback> --secret <secret> [--type stream.online] [--login name] [--id 1000]');
+            process.exit(1);
+        }
+
+        const type = options.type || 'stream.online';
+        const login = options.login || 'teststreamer';
+        const messageType = { verification: 'webhook_callback_verification', revocation: 'revocation' }[type] || 'notification';
+        const subscriptionType = messageType === 'notification' ? type : 'stream.online';
+        const status = messageType === 'revocation' ? 'authorization_revoked' : 'enabled';
+
+        const response = await sendFakeEvent({
+            url: options.url,
+            secret: options.secret,
+            messageType,
+            subscription: { ...buildSubscription(subscriptionType, options.id, status), transport: { method: 'webhook', callback: options.url } },
+            event: buildEvent(subscriptionType, login, options.id),
+            challenge: 'fake-challenge'
+        });
+        console.log(`${response.status} ${typeof response.data === 'string' ? response.data : JSON.stringify(response.data)}`);
+        return;
+    }
+
+    if (mode === 'websocket') {
+        const fake = createFakeEventSubServer({ port: Number(options.port || 8081) });
+        fake.server.on('listening', () => console.log(`Fake EventSub WebSocket on ws://127.0.0.1:${fake.server.address().port}`));
+        fake.server.on('connection', () => console.log('Client connected'));
+
+        const input = readline.createInterface({ input: process.stdin });
+        input.on('line', line => {
+            const [command, login, id] = line.trim().split(/\s+/);
+            if ((command === 'online' || command === 'offline') && login) {
+                fake.notify(`stream.${command}`, login, id);
+                console.log(`Sent stream.${command} for ${login} to ${fake.sessions.size} client(s)`);
+            } else if (command) {
+                console.log('Commands: online <login> [id], offline <login> [id]');
+            }
+        });
+        input.on('close', () => fake.close());
+        return;
+    }
+
+    console.error('Usage: fake-eventsub.js webhook|websocket [options]');
+    process.exit(1);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    buildEvent,
+    buildSubscription,
+    sendFakeEvent,
+    createFakeEventSubServer
+};
@@ -0,0 +1,52 @@
+// Bot config for tests: the bot's real timings, storage in a fresh temp
+// directory, and every platform pointed at a closed local port so nothing
+// reaches the network unless a test plugs in a stand-in.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG } = require('../../index');
+
+const NOWHERE = 'http://127.0.0.1:9';
+
+function createTestConfig(overrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-monitor-test-'));
+
+    return {
+        ...CONFIG,
+        DISCORD_TOKEN: 'test-token',
+        DISCORD_CLIENT_ID: 'test-client',
+        YOUTUBE_API_KEY: undefined,
+        TWITCH_CLIENT_ID: undefined,
+        TWITCH_CLIENT_SECRET: undefined,
+        TWITCH_API_URL: `${NOWHERE}/helix`,
+        TWITCH_TOKEN_URL: `${NOWHERE}/oauth2/token`,
+        YOUTUBE_API_URL: `${NOWHERE}/youtube/v3`,
+        YOUTUBE_FEED_URL: `${NOWHERE}/feeds/videos.xml`,
+        KICK_BASE_URL: NOWHERE,
+        KICK_TRANSPORT: 'http',
+        KICK_STRATEGIES_FILE: undefined,
+        TIKTOK_BASE_URL: NOWHERE,
+        WEBHOOK_URL: undefined,
+        DEFAULT_GUILD_ID: undefined,
+        PLATFORM_CHECK_INTERVALS: {},
+        STORAGE_BACKEND: 'json',
+        STORAGE_FILE: path.join(dir, 'bot_data.json'),
+        DATA_FILE: path.join(dir, 'monitored_users.json'),
+        GUILD_DATA_FILE: path.join(dir, 'guild_settings.json'),
+        LIVE_STATE_FILE: path.join(dir, 'live_state.json'),
+        HTTP_PORT: null,
+        HTTP_API_TOKEN: undefined,
+        TWITCH_EVENTSUB: 'off',
+        YOUTUBE_WEBSUB_CALLBACK_URL: undefined,
+        ...overrides
+    };
+}
+
+function removeTestFiles(config) {
+    fs.rmSync(path.dirname(config.STORAGE_FILE), { recursive: true, force: true });
+}
+
+module.exports = {
+    createTestConfig,
+    removeTestFiles
+};
@@ -0,0 +1,52 @@
+// Minimal local HTTP server for tests. Every request is recorded and passed
+// to handler({ method, path, query, headers, body }), which returns
+// { status, body, headers }. Object bodies are sent as JSON.
+const http = require('http');
+
+async function startMockServer(handler) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const text = Buffer.concat(chunks).toString('utf8');
+            let body = text;
+            if (text && (req.headers['content-type'] || '').includes('application/json')) {
+                body = JSON.parse(text);
+            }
+
+            const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body };
+            requests.push(request);
+
+            try {
+                const response = (await handler(request)) || { status: 404 };
+                const isJson = response.body !== undefined && typeof response.body !== 'string';
+                res.writeHead(response.status || 200, {
+                    ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+                    ...response.headers
+                });
+                res.end(isJson ? JSON.stringify(response.body) : response.body);
+            } catch (error) {
+                res.writeHead(500);
+                res.end(error.stack);
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = {
+    startMockServer
+};
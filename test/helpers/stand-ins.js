@@ -0,0 +1,341 @@
+// Local stand-ins for the services the bot talks to. Each one starts a mock
+// server, keeps its data in plain Maps the tests edit directly, and exposes
+// `config` with the keys that point a provider (or the bot) at it.
+const fs = require('fs');
+const path = require('path');
+const { startMockServer } = require('./mock-server');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Twitch: the OAuth token endpoint plus the Helix endpoints the provider uses
+async function startHelix() {
+    const state = {
+        users: new Map(), // login -> { id, login, display_name }
+        streams: new Map(), // login -> Helix stream object
+        videos: new Map(), // user ID -> [Helix video]
+        subscriptions: [],
+        tokensIssued: 0,
+        rejectNextRequest: false, // Answer the next Helix call with 401, as for an expired token
+        failing: false // Answer every Helix call with 500, as during an outage
+    };
+
+    const server = await startMockServer(request => {
+        if (request.method === 'POST' && request.path === '/oauth2/token') {
+            state.tokensIssued++;
+            return { body: { access_token: `token-${state.tokensIssued}`, expires_in: 3600, token_type: 'bearer' } };
+        }
+
+        if (!request.path.startsWith('/helix/')) {
+            return { status: 404 };
+        }
+        if (state.failing) {
+            return { status: 500, body: { error: 'Internal Server Error', status: 500, message: '' } };
+        }
+        if (state.rejectNextRequest || request.headers.authorization !== `Bearer token-${state.tokensIssued}`) {
+            state.rejectNextRequest = false;
+            return { status: 401, body: { error: 'Unauthorized', status: 401, message: 'Invalid OAuth token' } };
+        }
+
+        const endpoint = request.path.slice('/helix'.length);
+        if (endpoint === '/users') {
+            const ids = request.query.getAll('id');
+            const logins = request.query.getAll('login').map(login => login.toLowerCase());
+            const users = Array.from(state.users.values()).filter(user => ids.includes(user.id) || logins.includes(user.login));
+            return { body: { data: users } };
+        }
+        if (endpoint === '/streams') {
+            const ids = request.query.getAll('user_id');
+            const logins = request.query.getAll('user_login').map(login => login.toLowerCase());
+            const streams = Array.from(state.streams.values()).filter(stream => ids.includes(stream.user_id) || logins.includes(stream.user_login));
+            return { body: { data: streams, pagination: {} } };
+        }
+        if (endpoint === '/search/channels') {
+            const query = request.query.get('query').toLowerCase();
+            const first = parseInt(request.query.get('first'), 10) || 20;
+            const matches = Array.from(state.users.values())
+                .filter(user => user.login.includes(query))
+                .slice(0, first)
+                .map(user => ({ id: user.id, broadcaster_login: user.login, display_name: user.display_name, is_live: state.streams.has(user.login) }));
+            return { body: { data: matches, pagination: {} } };
+        }
+        if (endpoint === '/videos') {
+            return { body: { data: state.videos.get(request.query.get('user_id')) || [] } };
+        }
+        if (endpoint === '/eventsub/subscriptions') {
+            return handleSubscriptions(state, request);
+        }
+        return { status: 404 };
+    });
+
+    return {
+        ...server,
+        state,
+        config: {
+            TWITCH_CLIENT_ID: 'test-client',
+            TWITCH_CLIENT_SECRET: 'test-secret',
+            TWITCH_API_URL: `${server.url}/helix`,
+            TWITCH_TOKEN_URL: `${server.url}/oauth2/token`
+        },
+        addUser(login, id) {
+            state.users.set(login.toLowerCase(), { id, login: login.toLowerCase(), display_name: login });
+        },
+        // The same user ID under a new login, as after a Twitch name change
+        rename(login, newLogin) {
+            const user = state.users.get(login.toLowerCase());
+            state.users.delete(login.toLowerCase());
+            state.users.set(newLogin.toLowerCase(), { ...user, login: newLogin.toLowerCase(), display_name: newLogin });
+        },
+        goLive(login, stream = {}) {
+            const user = state.users.get(login.toLowerCase());
+            state.streams.set(login.toLowerCase(), {
+                id: '40000000001',
+                user_id: user?.id,
+                user_login: login.toLowerCase(),
+                user_name: login,
+                game_name: 'Just Chatting',
+                type: 'live',
+                title: `${login} live`,
+                viewer_count: 100,
+                started_at: new Date().toISOString(),
+                thumbnail_url: `https://static-cdn.jtvnw.net/previews-ttv/live_user_${login.toLowerCase()}-{width}x{height}.jpg`,
+                ...stream
+            });
+        },
+        goOffline(login) {
+            state.streams.delete(login.toLowerCase());
+        }
+    };
+}
+
+function handleSubscriptions(state, request) {
+    if (request.method === 'GET') {
+        return { body: { data: state.subscriptions, total: state.subscriptions.length, pagination: {} } };
+    }
+    if (request.method === 'POST') {
+        const { type, version, condition, transport } = request.body;
+        const subscription = {
+            id: `sub-${state.subscriptions.length + 1}`,
+            status: transport.method === 'webhook' ? 'webhook_callback_verification_pending' : 'enabled',
+            type,
+            version,
+            condition,
+            transport: { ...transport, secret: undefined },
+            created_at: new Date().toISOString()
+        };
+        state.subscriptions.push(subscription);
+        return { status: 202, body: { data: [subscription] } };
+    }
+    if (request.method === 'DELETE') {
+        state.subscriptions = state.subscriptions.filter(subscription => subscription.id !== request.query.get('id'));
+        return { status: 204, body: '' };
+    }
+    return { status: 405 };
+}
+
+// YouTube: the Data API (channels, search, videos) and channel RSS feeds
+async function startYouTube() {
+    const state = {
+        channels: new Map(), // channel ID -> { id, handle, title, videoIds }
+        videos: new Map(), // video ID -> videos.list resource
+        apiKey: 'test-key'
+    };
+
+    const server = await startMockServer(request => {
+        if (request.path === '/feeds/videos.xml') {
+            const channel = state.channels.get(request.query.get('channel_id'));
+            if (!channel) {
+                return { status: 404, body: '' };
+            }
+            const entries = channel.videoIds.map(videoId =>
+                `<entry><id>yt:video:${videoId}</id><yt:videoId>${videoId}</yt:videoId><yt:channelId>${channel.id}</yt:channelId></entry>`);
+            return {
+                headers: { 'Content-Type': 'application/atom+xml' },
+                body: `<?xml version="1.0" encoding="UTF-8"?><feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">${entries.join('')}</feed>`
+            };
+        }
+
+        if (!request.path.startsWith('/youtube/v3/')) {
+            return { status: 404 };
+        }
+        if (request.query.get('key') !== state.apiKey) {
+            return { status: 400, body: { error: { code: 400, message: 'API key not valid. Please pass a valid API key.' } } };
+        }
+
+        const resource = request.path.slice('/youtube/v3/'.length);
+        if (resource === 'channels') {
+            const handle = (request.query.get('forHandle') || '').toLowerCase();
+            const ids = (request.query.get('id') || '').split(',');
+            const channels = Array.from(state.channels.values())
+                .filter(c => (handle && c.handle.toLowerCase() === handle) || ids.includes(c.id));
+            return { body: { items: channels.map(c => ({ id: c.id, snippet: { title: c.title, customUrl: c.handle.toLowerCase() } })) } };
+        }
+        if (resource === 'search') {
+            const query = (request.query.get('q') || '').toLowerCase();
+            const matches = Array.from(state.channels.values()).filter(c => c.title.toLowerCase().includes(query));
+            return { body: { items: matches.map(c => ({ id: { channelId: c.id }, snippet: { channelId: c.id, title: c.title } })) } };
+        }
+        if (resource === 'videos') {
+            const ids = (request.query.get('id') || '').split(',');
+            return { body: { items: ids.map(id => state.videos.get(id)).filter(Boolean) } };
+        }
+        return { status: 404 };
+    });
+
+    return {
+        ...server,
+        state,
+        config: {
+            YOUTUBE_API_KEY: state.apiKey,
+            YOUTUBE_API_URL: `${server.url}/youtube/v3`,
+            YOUTUBE_FEED_URL: `${server.url}/feeds/videos.xml`
+        },
+        addChannel(id, handle, title = handle) {
+            state.channels.set(id, { id, handle: handle.startsWith('@') ? handle : `@${handle}`, title, videoIds: [] });
+        },
+        // A new live broadcast at the top of the channel's feed
+        goLive(channelId, videoId, { title = 'Live now', viewers = 50, startedAt = new Date().toISOString() } = {}) {
+            state.channels.get(channelId).videoIds.unshift(videoId);
+            state.videos.set(videoId, {
+                id: videoId,
+                snippet: { channelId, title, liveBroadcastContent: 'live', thumbnails: { high: { url: `https://i.ytimg.com/vi/${videoId}/hqdefault_live.jpg` } } },
+                liveStreamingDetails: { actualStartTime: startedAt, concurrentViewers: String(viewers) }
+            });
+        },
+        endLive(videoId) {
+            const video = state.videos.get(videoId);
+            video.snippet.liveBroadcastContent = 'none';
+            video.liveStreamingDetails.actualEndTime = new Date().toISOString();
+        },
+        addUpload(channelId, videoId) {
+            state.channels.get(channelId).videoIds.unshift(videoId);
+            state.videos.set(videoId, { id: videoId, snippet: { channelId, title: 'An upload', liveBroadcastContent: 'none', thumbnails: {} } });
+        }
+    };
+}
+
+// Kick: the channel API. Paths listed in `blocked` answer like Kick's bot
+// protection does.
+async function startKick() {
+    const state = {
+        channels: new Map(), // slug -> channel object
+        blocked: new Set() // e.g. '/api/v2' to block every v2 request
+    };
+
+    const server = await startMockServer(request => {
+        const match = /^(\/api\/v[12])\/channels\/([^/]+)$/.exec(request.path);
+        if (!match) {
+            return { status: 404 };
+        }
+        if (state.blocked.has(match[1])) {
+            return { status: 403, headers: { 'Content-Type': 'text/html' }, body: '<html><title>Just a moment...</title></html>' };
+        }
+
+        const channel = state.channels.get(decodeURIComponent(match[2]).toLowerCase());
+        return channel ? { body: channel } : { status: 404, body: { message: 'Channel not found' } };
+    });
+
+    return {
+        ...server,
+        state,
+        config: { KICK_BASE_URL: server.url, KICK_TRANSPORT: 'http' },
+        addChannel(slug, id) {
+            state.channels.set(slug.toLowerCase(), { id, slug: slug.toLowerCase(), user: { username: slug }, livestream: null });
+        },
+        goLive(slug, livestream = {}) {
+            state.channels.get(slug.toLowerCase()).livestream = {
+                id: 9001,
+                session_title: `${slug} on Kick`,
+                categories: [{ name: 'Just Chatting' }],
+                thumbnail: { url: 'https://images.kick.com/video_thumbnails/example.webp' },
+                viewer_count: 321,
+                start_time: '2024-05-01 18:30:00',
+                ...livestream
+            };
+        },
+        goOffline(slug) {
+            state.channels.get(slug.toLowerCase()).livestream = null;
+        }
+    };
+}
+
+// TikTok: profile and live pages served from test/fixtures/tiktok. Live
+// pages without a fixture redirect to the profile, as TikTok does when the
+// account has no live room.
+async function startTikTok() {
+    const state = {
+        profiles: new Map(), // username -> fixture name
+        livePages: new Map() // username -> fixture name
+    };
+    const fixture = name => fs.readFileSync(path.join(FIXTURES, 'tiktok', `${name}.html`), 'utf8');
+    const page = name => ({ headers: { 'Content-Type': 'text/html' }, body: fixture(name) });
+
+    const server = await startMockServer(request => {
+        const match = /^\/@([^/]+)(\/live)?$/.exec(request.path);
+        if (!match) {
+            return { status: 404 };
+        }
+
+        const username = decodeURIComponent(match[1]).toLowerCase();
+        if (!match[2]) {
+            return page(state.profiles.get(username) || 'profile-not-found');
+        }
+        if (!state.livePages.has(username)) {
+            return { status: 302, headers: { Location: `/@${username}` }, body: '' };
+        }
+        return page(state.livePages.get(username));
+    });
+
+    return {
+        ...server,
+        state,
+        config: { TIKTOK_BASE_URL: server.url }
+    };
+}
+
+// Discord: one webhook that stores the messages posted, edited and deleted
+// through it, answering like the real API does with wait=true
+async function startDiscordWebhook() {
+    const messages = new Map(); // message ID -> Discord API message body
+    let nextId = 1000;
+
+    const server = await startMockServer(request => {
+        const match = /^\/api\/webhooks\/123\/test-token(?:\/messages\/(\d+))?$/.exec(request.path);
+        if (!match) {
+            return { status: 404, body: { message: 'Unknown Webhook', code: 10015 } };
+        }
+
+        const messageId = match[1];
+        if (request.method === 'POST' && !messageId) {
+            const message = { id: String(nextId++), channel_id: '555', ...request.body };
+            messages.set(message.id, message);
+            return { body: request.query.get('wait') === 'true' ? message : '' };
+        }
+        if (!messages.has(messageId)) {
+            return { status: 404, body: { message: 'Unknown Message', code: 10008 } };
+        }
+        if (request.method === 'PATCH') {
+            const message = { ...messages.get(messageId), ...request.body };
+            messages.set(messageId, message);
+            return { body: message };
+        }
+        if (request.method === 'DELETE') {
+            messages.delete(messageId);
+            return { status: 204, body: '' };
+        }
+        return { status: 405 };
+    });
+
+    return {
+        ...server,
+        messages,
+        webhookUrl: `${server.url}/api/webhooks/123/test-token`
+    };
+}
+
+module.exports = {
+    startHelix,
+    startYouTube,
+    startKick,
+    startTikTok,
+    startDiscordWebhook
+};
@@ -0,0 +1,159 @@
+// The embedded HTTP server: health, metrics and the admin API
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const axios = require('axios');
+const { StreamMonitorBot } = require('../index');
+const { createHttpServer } = require('../lib/http-server');
+const { startHelix } = require('./helpers/stand-ins');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+const GUILD_ID = '111111111111111111';
+const TOKEN = 'admin-api-test-token';
+
+let helix;
+let config;
+let bot;
+let baseUrl;
+
+async function freePort() {
+    const server = net.createServer().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const { port } = server.address();
+    server.close();
+    return port;
+}
+
+// Resolve with the response whatever its status
+function get(path, headers = {}) {
+    return axios.get(`${baseUrl}${path}`, { headers, validateStatus: () => true });
+}
+
+function api(method, path, data) {
+    return axios({ method, url: `${baseUrl}/api${path}`, data, headers: { Authorization: `Bearer ${TOKEN}` }, validateStatus: () => true });
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    helix = await startHelix();
+    helix.addUser('ninja', '19571641');
+    helix.addUser('shroud', '37402112');
+
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    config = createTestConfig({ ...helix.config, HTTP_PORT: port, HTTP_API_TOKEN: TOKEN });
+
+    bot = new StreamMonitorBot(config);
+    await bot.loadState();
+    bot.startHttpServer();
+    await once(bot.httpServer, 'listening');
+    await bot.trackUser(GUILD_ID, 'twitch', 'ninja', 'Ninja');
+});
+
+after(async () => {
+    await bot.stop();
+    await helix.close();
+    removeTestFiles(config);
+});
+
+test('/healthz goes stale while every check fails', async () => {
+    const interval = bot.scheduler.jobs.get('twitch').interval;
+    bot.monitoringStartedAt = Date.now() - interval * 4;
+
+    helix.state.failing = true;
+    await bot.checkAllStreams();
+
+    const failing = await get('/healthz');
+    assert.equal(failing.status, 503);
+    assert.deepEqual(failing.data.platforms.twitch, {
+        intervalSeconds: interval / 1000,
+        lastSuccessfulPoll: null,
+        lastPollOk: false,
+        stale: true
+    });
+    assert.doesNotMatch((await get('/metrics')).data, /last_successful_poll_timestamp_seconds\{platform="twitch"\}/);
+
+    helix.state.failing = false;
+    await bot.checkAllStreams();
+
+    const recovered = await get('/healthz');
+    assert.equal(recovered.data.platforms.twitch.lastPollOk, true);
+    assert.equal(recovered.data.platforms.twitch.stale, false);
+    assert.match((await get('/metrics')).data, /^stream_monitor_last_successful_poll_timestamp_seconds\{platform="twitch"\} \d+/m);
+});
+
+test('/healthz and /metrics describe the gateway, platforms and counters', async () => {
+    const health = await get('/healthz');
+    assert.equal(health.status, 503);
+    assert.equal(health.data.status, 'degraded');
+    assert.deepEqual(health.data.gateway, { connected: false, ping: null });
+    assert.deepEqual(Object.keys(health.data.platforms).sort(), Array.from(bot.providers.keys()).sort());
+
+    const metrics = await get('/metrics');
+    assert.equal(metrics.status, 200);
+    assert.match(metrics.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+    assert.match(metrics.data, /^# TYPE stream_monitor_checks_total counter$/m);
+    assert.match(metrics.data, /^stream_monitor_tracked_users\{platform="twitch"\} 1$/m);
+    assert.match(metrics.data, /^stream_monitor_gateway_connected 0$/m);
+});
+
+test('the admin API needs the bearer token', async () => {
+    assert.equal((await get('/api/guilds/1/streamers')).status, 401);
+    assert.equal((await get('/api/guilds/1/streamers', { Authorization: 'Bearer wrong-token' })).status, 401);
+    assert.equal((await get('/api/guilds/1/streamers', { Authorization: TOKEN })).status, 401);
+    assert.deepEqual((await get('/api/guilds/1/streamers', { Authorization: `Bearer ${TOKEN}` })).data, { streamers: [] });
+});
+
+test('the admin API lists, tracks and removes streamers', async () => {
+    const listed = await api('get', `/guilds/${GUILD_ID}/streamers`);
+    assert.deepEqual(listed.data.streamers.map(streamer => [streamer.platform, streamer.id, streamer.username]), [['twitch', '19571641', 'ninja']]);
+
+    const added = await api('post', `/guilds/${GUILD_ID}/streamers`, { platform: 'twitch', username: 'Shroud' });
+    assert.equal(added.status, 201);
+    assert.equal(added.data.streamer.id, '37402112');
+    assert.equal((await api('post', `/guilds/${GUILD_ID}/streamers`, { platform: 'twitch', username: 'shroud' })).status, 409);
+    assert.equal((await api('post', `/guilds/${GUILD_ID}/streamers`, { platform: 'twitch', username: 'nobody' })).status, 422);
+    assert.equal((await api('post', `/guilds/${GUILD_ID}/streamers`, { platform: 'myspace', username: 'tom' })).status, 400);
+    assert.equal((await api('post', `/guilds/${GUILD_ID}/streamers`, {})).status, 400);
+
+    assert.equal((await api('delete', `/guilds/${GUILD_ID}/streamers/twitch/shroud`)).status, 204);
+    assert.equal((await api('delete', `/guilds/${GUILD_ID}/streamers/twitch/shroud`)).status, 404);
+    assert.equal((await api('put', `/guilds/${GUILD_ID}/streamers`)).status, 405);
+    assert.equal((await api('get', '/nothing')).status, 404);
+
+    const malformed = await api('delete', `/guilds/${GUILD_ID}/streamers/twitch/%E0`);
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(malformed.data, { error: 'Malformed path' });
+});
+
+test('push platforms get their registered paths with the raw body', async () => {
+    const received = [];
+    bot.webhooks.set('/test/push', async (req, res, body) => {
+        received.push(body.toString());
+        res.writeHead(204);
+        res.end();
+    });
+
+    const response = await axios.post(`${baseUrl}/test/push`, '{"signed":true}', { headers: { 'Content-Type': 'application/json' }, validateStatus: () => true });
+    assert.equal(response.status, 204);
+    assert.deepEqual(received, ['{"signed":true}']);
+    assert.equal((await axios.post(`${baseUrl}/test/other`, '{}', { validateStatus: () => true })).status, 404);
+    bot.webhooks.delete('/test/push');
+});
+
+test('without a token the admin API is disabled', async () => {
+    const server = createHttpServer(bot, { apiToken: undefined }).listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    try {
+        const response = await axios.get(`http://127.0.0.1:${server.address().port}/api/guilds/1/streamers`, {
+            headers: { Authorization: 'Bearer anything' },
+            validateStatus: () => true
+        });
+        assert.equal(response.status, 403);
+        assert.match(response.data.error, /set HTTP_API_TOKEN/);
+    } finally {
+        server.close();
+    }
+});
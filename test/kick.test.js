@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const KickProvider = require('../platforms/kick');
+const { startKick } = require('./helpers/stand-ins');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+let kick;
+let config;
+let provider;
+
+before(async () => {
+    // The provider logs every strategy it tries
+    mock.method(console, 'log', () => {});
+    kick = await startKick();
+    config = createTestConfig(kick.config);
+});
+
+after(async () => {
+    await kick.close();
+    removeTestFiles(config);
+});
+
+beforeEach(() => {
+    kick.state.channels.clear();
+    kick.state.blocked.clear();
+    kick.addChannel('xqc', 676);
+    provider = new KickProvider(config);
+});
+
+test('links and handles are normalized to lowercase slugs', () => {
+    assert.equal(provider.normalize('https://kick.com/xQc'), 'xqc');
+    assert.equal(provider.normalize('www.kick.com/xqc/videos'), 'xqc');
+    assert.equal(provider.normalize('@xQc'), 'xqc');
+});
+
+test('validate checks the slug and that the channel exists', async () => {
+    assert.deepEqual(await provider.validate('xqc'), { valid: true, id: '676', username: 'xqc', displayName: 'xqc' });
+
+    const missing = await provider.validate('nobody');
+    assert.deepEqual(missing, { valid: false, message: 'Kick channel "nobody" not found' });
+
+    const invalid = await provider.validate('not a slug!');
+    assert.equal(invalid.valid, false);
+    assert.match(invalid.message, /not a valid Kick username/);
+});
+
+test('checkLive reads the livestream and converts Kick times to UTC', async () => {
+    kick.goLive('xqc', { session_title: 'React andy', viewer_count: 20000, start_time: '2024-05-01 18:30:00' });
+
+    const result = await provider.checkLive({ username: 'xqc' });
+
+    assert.equal(result.status, 'live');
+    assert.equal(result.streamId, '9001');
+    assert.equal(result.title, 'React andy');
+    assert.equal(result.category, 'Just Chatting');
+    assert.equal(result.viewerCount, 20000);
+    assert.equal(result.startedAt, '2024-05-01T18:30:00.000Z');
+});
+
+test('checkLive reports offline channels', async () => {
+    assert.equal((await provider.checkLive({ username: 'xqc' })).status, 'offline');
+});
+
+test('a channel that is not found is unknown rather than offline', async () => {
+    kick.goLive('xqc');
+    kick.state.channels.delete('xqc');
+
+    assert.equal((await provider.checkLive({ username: 'xqc' })).status, 'unknown');
+    assert.equal((await provider.validate('xqc')).valid, false);
+});
+
+test('a blocked strategy falls through to the next one', async () => {
+    kick.goLive('xqc');
+    kick.state.blocked.add('/api/v2');
+
+    assert.equal((await provider.checkLive({ username: 'xqc' })).status, 'live');
+    assert.ok(kick.requests.some(request => request.path === '/api/v1/channels/xqc'));
+});
+
+test('a check where every strategy is blocked is unknown', async () => {
+    kick.goLive('xqc');
+    kick.state.blocked.add('/api/v1');
+    kick.state.blocked.add('/api/v2');
+
+    assert.equal((await provider.checkLive({ username: 'xqc' })).status, 'unknown');
+});
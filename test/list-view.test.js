@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeListState, parseListState, selectListEntries, paginate } = require('../lib/list-view');
+
+function entry(platform, displayName, addedAt, liveSince) {
+    return {
+        key: `1:${platform}:${displayName.toLowerCase()}`,
+        user: { platform, username: displayName.toLowerCase(), displayName, addedAt },
+        session: liveSince ? { startedAt: liveSince } : undefined
+    };
+}
+
+const entries = [
+    entry('twitch', 'Shroud', '2024-03-01T00:00:00.000Z', '2024-05-01T18:00:00.000Z'),
+    entry('kick', 'xQc', '2024-01-01T00:00:00.000Z'),
+    entry('twitch', 'asmongold', '2024-02-01T00:00:00.000Z', '2024-05-01T16:00:00.000Z'),
+    entry('youtube', 'Example Creator', undefined)
+];
+const names = list => list.map(item => item.user.displayName);
+
+test('button state survives a round trip through the custom ID', () => {
+    const state = { page: 3, platform: 'twitch', liveOnly: true, sort: 'live' };
+
+    assert.deepEqual(parseListState(encodeListState(state)), state);
+    assert.deepEqual(parseListState(`${encodeListState({ ...state, platform: null, liveOnly: false })}:next`),
+        { ...state, platform: null, liveOnly: false });
+    assert.equal(parseListState('list:0:*:all:unknown'), null);
+    assert.equal(parseListState('notify:123'), null);
+});
+
+test('entries sort by name, date added or live duration', () => {
+    assert.deepEqual(names(selectListEntries([...entries], { sort: 'name' })), ['asmongold', 'Example Creator', 'Shroud', 'xQc']);
+    assert.deepEqual(names(selectListEntries([...entries], { sort: 'added' })), ['Shroud', 'asmongold', 'xQc', 'Example Creator']);
+    assert.deepEqual(names(selectListEntries([...entries], { sort: 'live' })), ['asmongold', 'Shroud', 'Example Creator', 'xQc']);
+});
+
+test('platform and live-only filters combine', () => {
+    assert.deepEqual(names(selectListEntries([...entries], { platform: 'twitch', sort: 'name' })), ['asmongold', 'Shroud']);
+    assert.deepEqual(names(selectListEntries([...entries], { liveOnly: true, sort: 'name' })), ['asmongold', 'Shroud']);
+    assert.deepEqual(selectListEntries([...entries], { platform: 'kick', liveOnly: true, sort: 'name' }), []);
+});
+
+test('pages past the end fall back to the last page', () => {
+    const items = Array.from({ length: 23 }, (_, i) => i);
+
+    assert.deepEqual(paginate(items, 1), { page: 1, pageCount: 3, items: items.slice(10, 20) });
+    assert.deepEqual(paginate(items, 7), { page: 2, pageCount: 3, items: [20, 21, 22] });
+    assert.deepEqual(paginate([], 0), { page: 0, pageCount: 1, items: [] });
+});
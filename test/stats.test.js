@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { filterByRange, summarizeSessions, pruneHistory, formatHours } = require('../lib/stats');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function record(startedAt, hours, title = null) {
+    const durationMs = hours * HOUR;
+    return { startedAt, endedAt: new Date(new Date(startedAt).getTime() + durationMs).toISOString(), durationMs, title };
+}
+
+// Two Monday evenings (UTC) and one long Saturday afternoon
+const records = [
+    record('2024-04-29T20:15:00.000Z', 2, 'Monday one'),
+    record('2024-05-04T14:00:00.000Z', 6, 'Marathon'),
+    record('2024-05-06T20:45:00.000Z', 1, 'Monday two')
+];
+
+test('summaries count streams and find the usual weekday, hour and longest stream', () => {
+    const summary = summarizeSessions(records);
+
+    assert.equal(summary.count, 3);
+    assert.equal(summary.totalMs, 9 * HOUR);
+    assert.equal(summary.averageMs, 3 * HOUR);
+    assert.equal(summary.weekday, 'Monday');
+    assert.equal(summary.hour, 20);
+    assert.equal(summary.longest.title, 'Marathon');
+    assert.equal(summarizeSessions([]), null);
+    assert.equal(formatHours(summary.totalMs), '9.0 hours');
+});
+
+test('ties for weekday or hour go to the earliest in the week or day', () => {
+    const summary = summarizeSessions([record('2024-05-04T14:00:00.000Z', 1), record('2024-04-29T09:00:00.000Z', 1)]);
+
+    // Saturday is day 6 and Monday day 1
+    assert.equal(summary.weekday, 'Monday');
+    assert.equal(summary.hour, 9);
+});
+
+test('ranges keep streams that started inside them', () => {
+    const now = new Date('2024-05-07T00:00:00.000Z').getTime();
+
+    assert.deepEqual(filterByRange(records, '7d', now).map(item => item.title), ['Marathon', 'Monday two']);
+    assert.deepEqual(filterByRange(records, '30d', now), records);
+    assert.deepEqual(filterByRange(records, 'all', now), records);
+    assert.deepEqual(filterByRange(records, '7d', now + 30 * DAY), []);
+});
+
+test('history older than the retention is pruned', () => {
+    const history = new Map(records.map(item => [item.title, item]));
+    const now = new Date('2024-05-07T00:00:00.000Z').getTime();
+
+    assert.equal(pruneHistory(history, 0, now), 0);
+    assert.equal(pruneHistory(history, 5 * DAY, now), 1);
+    assert.deepEqual(Array.from(history.keys()), ['Marathon', 'Monday two']);
+    assert.equal(pruneHistory(history, 5 * DAY, now), 0);
+});
@@ -0,0 +1,178 @@
+// Storage backends: migrations, the one-time legacy import and safe writes
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { StreamMonitorBot } = require('../index');
+const { createStorage, SCHEMA_VERSION } = require('../lib/storage');
+const { migrate } = require('../lib/storage/migrations');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+const GUILD_ID = '111111111111111111';
+const CHANNEL_ID = 'UC1234567890abcdefghijkl';
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+const session = { startedAt: '2024-05-01T18:00:00.000Z', lastSeenAt: '2024-05-01T18:30:00.000Z', offlineChecks: 0 };
+
+test('version 1 moves users saved without a server under the legacy guild', () => {
+    const data = migrate({
+        users: new Map([
+            ['twitch:ninja', { platform: 'twitch', username: 'ninja', displayName: 'Ninja' }],
+            [`${GUILD_ID}:kick:xqc`, { guildId: GUILD_ID, platform: 'kick', username: 'xqc', displayName: 'xqc' }]
+        ])
+    }, 0);
+
+    assert.deepEqual(Array.from(data.users.keys()), ['legacy:twitch:ninja', `${GUILD_ID}:kick:xqc`]);
+    assert.equal(data.users.get('legacy:twitch:ninja').guildId, 'legacy');
+    assert.deepEqual(data.subscriptions, new Map());
+});
+
+test('version 2 normalizes usernames, keys known IDs and merges case variants', () => {
+    const user = (platform, username, displayName, extra = {}) => ({ guildId: GUILD_ID, platform, username, displayName, ...extra });
+    const data = migrate({
+        users: new Map([
+            [`${GUILD_ID}:twitch:Shroud`, user('twitch', 'Shroud', 'Shroud')],
+            [`${GUILD_ID}:twitch:shroud`, user('twitch', 'shroud', 'The Shroud')],
+            [`${GUILD_ID}:youtube:@Example`, user('youtube', '@Example', 'Example Creator', { resolvedId: CHANNEL_ID })],
+            [`${GUILD_ID}:youtube:${CHANNEL_ID}x`, user('youtube', 'UCabcdefghijklmnopqrstuv', 'UCabcdefghijklmnopqrstuv')],
+            [`${GUILD_ID}:tiktok:@Charli`, user('tiktok', '@Charli', '@charli')]
+        ]),
+        sessions: new Map([[`${GUILD_ID}:twitch:Shroud`, session], [`${GUILD_ID}:twitch:shroud`, { ...session, title: 'dropped' }]])
+    }, 1);
+
+    assert.deepEqual(Array.from(data.users.keys()), [
+        `${GUILD_ID}:twitch:shroud`,
+        `${GUILD_ID}:youtube:${CHANNEL_ID}`,
+        `${GUILD_ID}:youtube:UCabcdefghijklmnopqrstuv`,
+        `${GUILD_ID}:tiktok:charli`
+    ]);
+    assert.deepEqual(data.users.get(`${GUILD_ID}:twitch:shroud`), { ...user('twitch', 'shroud', 'Shroud'), customName: false });
+    assert.deepEqual(data.users.get(`${GUILD_ID}:youtube:${CHANNEL_ID}`),
+        { ...user('youtube', '@example', 'Example Creator'), id: CHANNEL_ID, customName: true });
+    assert.equal(data.users.get(`${GUILD_ID}:tiktok:charli`).customName, false);
+    assert.deepEqual(data.sessions, new Map([[`${GUILD_ID}:twitch:shroud`, session]]));
+});
+
+test('stores from a newer version of the bot are refused', () => {
+    assert.throws(() => migrate({}, SCHEMA_VERSION + 1), /only understands up to/);
+});
+
+for (const backend of ['json', 'sqlite']) {
+    test(`a new ${backend} store imports the legacy files once`, async () => {
+        const config = createTestConfig({ STORAGE_BACKEND: backend });
+        config.STORAGE_FILE = path.join(path.dirname(config.DATA_FILE), `bot_data.${backend}`);
+        fs.writeFileSync(config.DATA_FILE, JSON.stringify([
+            ['twitch:Ninja', { platform: 'twitch', username: 'Ninja', displayName: 'Ninja' }],
+            [`${GUILD_ID}:kick:xqc`, { guildId: GUILD_ID, platform: 'kick', username: 'xqc', displayName: 'xQc' }]
+        ]));
+        fs.writeFileSync(config.GUILD_DATA_FILE, JSON.stringify([[GUILD_ID, { channelId: '555' }]]));
+        // The oldest live state files hold only the array of sessions
+        fs.writeFileSync(config.LIVE_STATE_FILE, JSON.stringify([[`${GUILD_ID}:kick:xqc`, session]]));
+
+        try {
+            const storage = createStorage(config);
+            const data = await storage.load();
+            await storage.close();
+
+            assert.deepEqual(Array.from(data.users.keys()), ['legacy:twitch:ninja', `${GUILD_ID}:kick:xqc`]);
+            assert.deepEqual(data.guilds.get(GUILD_ID), { channelId: '555' });
+            assert.deepEqual(data.sessions.get(`${GUILD_ID}:kick:xqc`), session);
+            assert.ok(fs.existsSync(`${config.DATA_FILE}.imported`));
+            assert.ok(!fs.existsSync(config.DATA_FILE));
+            assert.ok(!fs.existsSync(config.LIVE_STATE_FILE));
+
+            // Loading again reads the store, not the renamed files
+            const reopened = createStorage(config);
+            assert.equal((await reopened.load()).users.size, 2);
+            await reopened.close();
+        } finally {
+            removeTestFiles(config);
+        }
+    });
+}
+
+test('JSON writes go through a temporary file, so a failed write keeps the previous version', async (t) => {
+    const config = createTestConfig();
+    try {
+        const storage = createStorage(config);
+        await storage.load();
+        await storage.save('guilds', new Map([[GUILD_ID, { channelId: '555' }]]));
+
+        const saved = JSON.parse(fs.readFileSync(config.STORAGE_FILE, 'utf8'));
+        assert.equal(saved.schemaVersion, SCHEMA_VERSION);
+        assert.deepEqual(saved.collections.guilds, { [GUILD_ID]: { channelId: '555' } });
+
+        // A crash between writing the temporary file and renaming it
+        t.mock.method(fs.promises, 'rename', async () => { throw new Error('simulated crash'); });
+        await assert.rejects(storage.save('guilds', new Map()), /simulated crash/);
+        assert.deepEqual(JSON.parse(fs.readFileSync(config.STORAGE_FILE, 'utf8')), saved);
+    } finally {
+        removeTestFiles(config);
+    }
+});
+
+test('unreadable JSON stops loading instead of starting empty', async () => {
+    const config = createTestConfig();
+    try {
+        fs.writeFileSync(config.STORAGE_FILE, '{"schemaVersion": 2, "collections": {');
+        await assert.rejects(createStorage(config).load(), /is not valid JSON/);
+    } finally {
+        removeTestFiles(config);
+    }
+});
+
+test('live state is only written when it changed', async (t) => {
+    const config = createTestConfig();
+    const bot = new StreamMonitorBot(config);
+    try {
+        await bot.loadState();
+        const writes = [];
+        t.mock.method(bot.storage, 'writeCollection', async name => { writes.push(name); });
+
+        await bot.saveLiveState();
+        assert.deepEqual(writes, []);
+
+        bot.streamSessions.set(`${GUILD_ID}:twitch:19571641`, session);
+        await bot.saveLiveState();
+        await bot.saveLiveState();
+        assert.deepEqual(writes, ['sessions']);
+
+        session.lastSeenAt = '2024-05-01T18:32:00.000Z';
+        await bot.saveLiveState();
+        assert.deepEqual(writes, ['sessions', 'sessions']);
+    } finally {
+        await bot.stop();
+        removeTestFiles(config);
+    }
+});
+
+test('streams that end in one cycle are added to history in one write', async (t) => {
+    const config = createTestConfig();
+    const bot = new StreamMonitorBot(config);
+    try {
+        await bot.loadState();
+        const writes = [];
+        const writeEntries = bot.storage.writeEntries.bind(bot.storage);
+        t.mock.method(bot.storage, 'writeEntries', async (name, entries) => {
+            writes.push([name, entries.length]);
+            await writeEntries(name, entries);
+        });
+
+        const user = platform => ({ guildId: GUILD_ID, platform, username: 'ninja', displayName: 'Ninja' });
+        const recent = { ...session, startedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(), lastSeenAt: new Date().toISOString() };
+        bot.recordHistory(`${GUILD_ID}:twitch:19571641`, user('twitch'), recent);
+        bot.recordHistory(`${GUILD_ID}:kick:676`, user('kick'), recent);
+        await bot.saveLiveState();
+        await bot.saveLiveState();
+        assert.deepEqual(writes, [['history', 2]]);
+
+        const saved = JSON.parse(fs.readFileSync(config.STORAGE_FILE, 'utf8'));
+        assert.equal(Object.keys(saved.collections.history).length, 2);
+    } finally {
+        await bot.stop();
+        removeTestFiles(config);
+    }
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, isQuietTime, formatQuietHours, mentionBatches } = require('../lib/subscriptions');
+
+test('quiet hours may wrap past midnight and follow the member\'s time zone', () => {
+    const night = { start: 22, end: 8, timeZone: 'UTC' };
+
+    assert.equal(isQuietTime(night, new Date('2024-05-01T23:30:00Z')), true);
+    assert.equal(isQuietTime(night, new Date('2024-05-01T07:59:00Z')), true);
+    assert.equal(isQuietTime(night, new Date('2024-05-01T08:00:00Z')), false);
+    assert.equal(isQuietTime({ ...night, timeZone: 'Asia/Tokyo' }, new Date('2024-05-01T23:30:00Z')), false);
+    assert.equal(isQuietTime({ start: 9, end: 17, timeZone: 'America/New_York' }, new Date('2024-05-01T14:00:00Z')), true);
+    assert.equal(isQuietTime(null), false);
+    assert.equal(formatQuietHours(night), '22:00-08:00 UTC');
+});
+
+test('time zones must be IANA names', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('mentions are split by message length and the allowed mention limit', () => {
+    const ids = Array.from({ length: 150 }, (_, i) => String(100000000000000000n + BigInt(i)));
+    const batches = mentionBatches('🔔 **Ninja** is live on Twitch!', ids);
+
+    assert.deepEqual(batches.map(batch => batch.userIds.length), [89, 61]);
+    assert.ok(batches.every(batch => batch.content.length <= 2000));
+    assert.deepEqual(batches.flatMap(batch => batch.userIds), ids);
+
+    const short = Array.from({ length: 150 }, (_, i) => String(i));
+    assert.deepEqual(mentionBatches('🔔', short).map(batch => batch.userIds.length), [100, 50]);
+    assert.deepEqual(mentionBatches('prefix', []), []);
+});
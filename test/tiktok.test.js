@@ -0,0 +1,75 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TikTokProvider = require('../platforms/tiktok');
+const { startTikTok } = require('./helpers/stand-ins');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+let tiktok;
+let config;
+let provider;
+
+before(async () => {
+    tiktok = await startTikTok();
+    config = createTestConfig(tiktok.config);
+});
+
+after(async () => {
+    await tiktok.close();
+    removeTestFiles(config);
+});
+
+beforeEach(() => {
+    tiktok.state.profiles.clear();
+    tiktok.state.livePages.clear();
+    tiktok.state.profiles.set('examplestreamer', 'profile');
+    provider = new TikTokProvider(config);
+});
+
+test('links and handles are normalized to lowercase usernames', () => {
+    assert.equal(provider.normalize('https://www.tiktok.com/@ExampleStreamer/live'), 'examplestreamer');
+    assert.equal(provider.normalize('@ExampleStreamer'), 'examplestreamer');
+    assert.equal(provider.normalize('https://www.tiktok.com/explore'), '');
+});
+
+test('validate finds existing profiles and rejects missing ones', async () => {
+    const found = await provider.validate('examplestreamer');
+    assert.equal(found.valid, true);
+    assert.match(found.note, /@examplestreamer/);
+    assert.equal(found.username, 'examplestreamer');
+    assert.equal(found.id, undefined);
+
+    assert.deepEqual(await provider.validate('nobody'), { valid: false, message: 'TikTok user "nobody" not found' });
+});
+
+test('checkLive reads live rooms from both page layouts', async () => {
+    tiktok.state.livePages.set('examplestreamer', 'live-sigi');
+    tiktok.state.livePages.set('examplechef', 'live-universal');
+
+    const sigi = await provider.checkLive({ username: 'examplestreamer' });
+    assert.equal(sigi.status, 'live');
+    assert.ok(sigi.streamId);
+
+    const universal = await provider.checkLive({ username: 'examplechef' });
+    assert.equal(universal.status, 'live');
+    assert.equal(universal.streamId, '7390000000000000002');
+});
+
+test('a redirect to the profile or an ended room is offline', async () => {
+    assert.equal((await provider.checkLive({ username: 'examplestreamer' })).status, 'offline');
+
+    tiktok.state.livePages.set('examplestreamer', 'ended');
+    assert.equal((await provider.checkLive({ username: 'examplestreamer' })).status, 'offline');
+});
+
+test('a captcha page is unknown', async () => {
+    tiktok.state.livePages.set('examplestreamer', 'blocked');
+    assert.equal((await provider.checkLive({ username: 'examplestreamer' })).status, 'unknown');
+});
+
+test('clients that do not report the final URL still get answers', async (t) => {
+    tiktok.state.livePages.set('examplestreamer', 'live-sigi');
+    const page = (await provider.fetchPage(`${tiktok.config.TIKTOK_BASE_URL}/@examplestreamer/live`)).data;
+    t.mock.method(provider.http, 'get', async () => ({ data: page, request: {} }));
+
+    assert.equal((await provider.checkLive({ username: 'examplestreamer' })).status, 'live');
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportUsers, parseImport } = require('../lib/transfer');
+
+const row = (number, platform, username, displayName = '') => ({ row: number, platform, username, displayName });
+
+test('quoted CSV fields may hold commas, quotes and line breaks', () => {
+    const csv = 'platform,username,display_name\n' +
+        'twitch,ninja,"Ninja, the ""Fortnite"" guy"\n' +
+        'kick,xqc,"xQc\nstreams daily"\n';
+
+    assert.deepEqual(parseImport(csv, 'csv'), [
+        row(2, 'twitch', 'ninja', 'Ninja, the "Fortnite" guy'),
+        row(3, 'kick', 'xqc', 'xQc\nstreams daily')
+    ]);
+});
+
+test('CRLF line endings, a UTF-8 BOM, blank lines and column order are handled', () => {
+    const csv = '\uFEFFUsername,Platform\r\nNinja, Twitch \r\n\r\nxqc,KICK\r\n';
+
+    assert.deepEqual(parseImport(csv, 'csv'), [row(2, 'twitch', 'Ninja'), row(3, 'kick', 'xqc')]);
+});
+
+test('CSV files without a platform and username header are refused', () => {
+    assert.throws(() => parseImport('twitch,ninja,Ninja\n', 'csv'), /needs a header row with platform,username,display_name/);
+    assert.throws(() => parseImport('', 'csv'), /needs a header row/);
+});
+
+test('JSON imports take displayName or display_name and refuse anything but a list', () => {
+    const json = JSON.stringify([
+        { platform: 'Twitch', username: ' ninja ', displayName: 'Ninja' },
+        { platform: 'kick', username: 'xqc', display_name: 'xQc' },
+        { platform: 'myspace', username: 'tom' },
+        null
+    ]);
+
+    assert.deepEqual(parseImport(json, 'json'), [
+        row(1, 'twitch', 'ninja', 'Ninja'),
+        row(2, 'kick', 'xqc', 'xQc'),
+        row(3, 'myspace', 'tom'),
+        row(4, '', '')
+    ]);
+    assert.throws(() => parseImport('{"platform":"twitch"}', 'json'), /must contain a list/);
+    assert.throws(() => parseImport('[{', 'json'), /not valid JSON/);
+});
+
+test('exports read back as the same streamers', () => {
+    const users = [
+        { platform: 'twitch', username: 'ninja', displayName: 'Ninja, "the" streamer' },
+        { platform: 'kick', username: 'xqc', displayName: 'xQc' }
+    ];
+
+    for (const format of ['csv', 'json']) {
+        assert.deepEqual(parseImport(exportUsers(users, format), format).map(({ row: _, ...rest }) => rest),
+            users.map(user => ({ platform: user.platform, username: user.username, displayName: user.displayName })));
+    }
+});
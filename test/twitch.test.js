@@ -0,0 +1,132 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TwitchProvider = require('../platforms/twitch');
+const { startHelix } = require('./helpers/stand-ins');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+let helix;
+let config;
+let twitch;
+
+before(async () => {
+    helix = await startHelix();
+    config = createTestConfig(helix.config);
+});
+
+after(async () => {
+    await helix.close();
+    removeTestFiles(config);
+});
+
+beforeEach(() => {
+    helix.state.users.clear();
+    helix.state.streams.clear();
+    twitch = new TwitchProvider(config);
+});
+
+test('validate accepts existing users and rejects unknown ones', async () => {
+    helix.addUser('ninja', '19571641');
+
+    assert.deepEqual(await twitch.validate('ninja'), { valid: true, id: '19571641', username: 'ninja', displayName: 'ninja' });
+    assert.deepEqual(await twitch.validate('nobody'), { valid: false, message: 'Twitch user "nobody" not found' });
+});
+
+test('validate needs API credentials', async () => {
+    const provider = new TwitchProvider({ ...config, TWITCH_CLIENT_ID: undefined });
+    const result = await provider.validate('ninja');
+
+    assert.equal(result.valid, false);
+    assert.match(result.message, /credentials not configured/);
+});
+
+test('checkLiveMany reports live and offline users with stream details', async () => {
+    helix.addUser('ninja', '1');
+    helix.addUser('shroud', '2');
+    helix.goLive('ninja', { title: 'Fortnite', viewer_count: 12345, started_at: '2024-05-01T18:00:00Z' });
+
+    const [live, offline] = await twitch.checkLiveMany([{ username: 'Ninja' }, { username: 'shroud' }]);
+
+    assert.equal(live.status, 'live');
+    assert.equal(live.title, 'Fortnite');
+    assert.equal(live.category, 'Just Chatting');
+    assert.equal(live.viewerCount, 12345);
+    assert.equal(live.startedAt, '2024-05-01T18:00:00.000Z');
+    assert.match(live.thumbnailUrl, /live_user_ninja-1280x720\.jpg\?t=\d+$/);
+    assert.equal(offline.status, 'offline');
+});
+
+test('checkLiveMany looks users up by ID when it is known', async () => {
+    helix.addUser('ninja', '1');
+    helix.goLive('ninja');
+    helix.rename('ninja', 'ninja2');
+
+    const [renamed, legacy] = await twitch.checkLiveMany([{ id: '1', username: 'ninja' }, { username: 'ninja2' }]);
+    assert.equal(renamed.status, 'live');
+    assert.equal(legacy.status, 'offline');
+    assert.deepEqual(helix.requests.at(-1).query.getAll('user_id'), ['1']);
+});
+
+test('getAccounts reports current logins for user IDs', async () => {
+    helix.addUser('ninja', '1');
+    helix.rename('ninja', 'NinjaNew');
+
+    assert.deepEqual(await twitch.getAccounts([{ id: '1', username: 'ninja' }, { username: 'legacy' }]),
+        new Map([['1', { username: 'ninjanew', displayName: 'NinjaNew' }]]));
+});
+
+test('links and handles are normalized to lowercase logins', () => {
+    assert.equal(twitch.normalize('https://www.twitch.tv/Shroud/videos'), 'shroud');
+    assert.equal(twitch.normalize('twitch.tv/shroud'), 'shroud');
+    assert.equal(twitch.normalize('@Shroud'), 'shroud');
+    assert.equal(twitch.normalize('https://kick.com/shroud'), 'https://kick.com/shroud');
+});
+
+test('checkLiveMany batches 100 logins per request', async () => {
+    const users = Array.from({ length: 150 }, (_, i) => ({ username: `user${i}` }));
+    const earlier = helix.requests.filter(request => request.path === '/helix/streams').length;
+
+    const results = await twitch.checkLiveMany(users);
+
+    const streamRequests = helix.requests.filter(request => request.path === '/helix/streams').slice(earlier);
+    assert.equal(streamRequests.length, 2);
+    assert.equal(streamRequests[0].query.getAll('user_login').length, 100);
+    assert.equal(streamRequests[1].query.getAll('user_login').length, 50);
+    assert.ok(results.every(result => result.status === 'offline'));
+});
+
+test('a rejected token is replaced and the request retried', async () => {
+    helix.addUser('ninja', '1');
+    await twitch.validate('ninja');
+    const tokensBefore = helix.state.tokensIssued;
+
+    helix.state.rejectNextRequest = true;
+    assert.equal((await twitch.validate('ninja')).valid, true);
+    assert.equal(helix.state.tokensIssued, tokensBefore + 1);
+});
+
+test('search suggests channels with their live status', async () => {
+    helix.addUser('ninja', '1');
+    helix.addUser('ninjasaurus', '2');
+    helix.addUser('shroud', '3');
+    helix.goLive('ninja');
+
+    assert.deepEqual(await twitch.search('ninja'), [
+        { username: 'ninja', label: 'ninja 🔴 live' },
+        { username: 'ninjasaurus', label: 'ninjasaurus' }
+    ]);
+    assert.equal(helix.requests.at(-1).query.get('first'), '10');
+});
+
+test('failed checks are unknown rather than offline', async () => {
+    const unreachable = new TwitchProvider({ ...config, TWITCH_API_URL: 'http://127.0.0.1:9/helix' });
+    unreachable.token = 'token';
+    unreachable.tokenExpiresAt = Date.now() + 3600 * 1000;
+
+    const [result] = await unreachable.checkLiveMany([{ username: 'ninja' }]);
+    assert.equal(result.status, 'unknown');
+});
+
+test('Twitch is polled at CHECK_INTERVAL unless PLATFORM_CHECK_INTERVALS says otherwise', () => {
+    assert.equal(twitch.polling.interval, config.CHECK_INTERVAL);
+    assert.equal(new TwitchProvider({ ...config, PLATFORM_CHECK_INTERVALS: { twitch: 2 * 60 * 1000 } }).polling.interval, 2 * 60 * 1000);
+});
@@ -0,0 +1,167 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const YouTubeProvider = require('../platforms/youtube');
+const { YouTubeWebSub } = require('../platforms/youtube-websub');
+const { startYouTube } = require('./helpers/stand-ins');
+const { createTestConfig, removeTestFiles } = require('./helpers/config');
+
+const CHANNEL_ID = 'UC1234567890abcdefghijkl';
+const OTHER_CHANNEL_ID = 'UCzyxwvutsrqponmlkjihgfe';
+const SECRET = 'websub-test-secret';
+
+let youtube;
+let config;
+let provider;
+
+before(async () => {
+    youtube = await startYouTube();
+    config = createTestConfig(youtube.config);
+});
+
+after(async () => {
+    await youtube.close();
+    removeTestFiles(config);
+});
+
+beforeEach(() => {
+    youtube.state.channels.clear();
+    youtube.state.videos.clear();
+    youtube.addChannel(CHANNEL_ID, '@examplecreator', 'Example Creator');
+    provider = new YouTubeProvider(config);
+});
+
+test('validate resolves handles to channel IDs', async () => {
+    const result = await provider.validate('@examplecreator');
+
+    assert.equal(result.valid, true);
+    assert.equal(result.id, CHANNEL_ID);
+    assert.equal(result.username, '@examplecreator');
+    assert.equal(result.displayName, 'Example Creator');
+    assert.match(result.note, /Resolved to channel ID/);
+});
+
+test('validate checks channel IDs exist', async () => {
+    assert.equal((await provider.validate(CHANNEL_ID)).note, '');
+    assert.match((await provider.validate('UC0000000000000000000000')).message, /not found/);
+});
+
+test('validate falls back to search and rejects channels it cannot find', async () => {
+    assert.equal((await provider.validate('Example Creator')).id, CHANNEL_ID);
+
+    const missing = await provider.validate('nobody here');
+    assert.equal(missing.valid, false);
+    assert.match(missing.message, /Could not find YouTube channel/);
+});
+
+test('validate needs an API key', async () => {
+    const result = await new YouTubeProvider({ ...config, YOUTUBE_API_KEY: undefined }).validate('@examplecreator');
+
+    assert.equal(result.valid, false);
+    assert.equal(result.message, 'YouTube API key not configured');
+});
+
+test('checkLiveMany finds live broadcasts through the feed', async () => {
+    youtube.addUpload(CHANNEL_ID, 'upload1');
+    youtube.goLive(CHANNEL_ID, 'live1', { title: 'Live Q&A', viewers: 42, startedAt: '2024-05-01T18:00:00.000Z' });
+
+    const [result] = await provider.checkLiveMany([{ username: '@examplecreator', resolvedId: CHANNEL_ID }]);
+
+    assert.equal(result.status, 'live');
+    assert.equal(result.streamId, 'live1');
+    assert.equal(result.title, 'Live Q&A');
+    assert.equal(result.viewerCount, 42);
+    assert.equal(result.startedAt, '2024-05-01T18:00:00.000Z');
+    assert.equal(result.thumbnailUrl, 'https://i.ytimg.com/vi/live1/hqdefault_live.jpg');
+});
+
+test('ended broadcasts are offline and never looked up again', async () => {
+    youtube.goLive(CHANNEL_ID, 'live1');
+    youtube.endLive('live1');
+    const user = { username: '@examplecreator', resolvedId: CHANNEL_ID };
+
+    assert.equal((await provider.checkLiveMany([user]))[0].status, 'offline');
+
+    const videoLookups = () => youtube.requests.filter(request => request.path === '/youtube/v3/videos').length;
+    const lookups = videoLookups();
+    assert.equal((await provider.checkLiveMany([user]))[0].status, 'offline');
+    assert.equal(videoLookups(), lookups);
+});
+
+test('a channel whose feed fails is unknown', async () => {
+    const [result] = await provider.checkLiveMany([{ username: 'gone', resolvedId: 'UCdoesnotexist0000000000' }]);
+    assert.equal(result.status, 'unknown');
+});
+
+test('quota use is counted per call', async () => {
+    await provider.validate('@examplecreator');
+    await provider.validate('Example Creator');
+
+    // channels.list by handle (1); a name with spaces goes straight to search (100);
+    // then channels.list by ID for the channel's name (1 each)
+    assert.equal(provider.quotaUsed, 103);
+});
+
+test('links and handles are normalized', () => {
+    assert.equal(provider.normalize('https://www.youtube.com/@ExampleCreator/streams'), '@examplecreator');
+    assert.equal(provider.normalize('youtube.com/channel/UC1234567890abcdefghijkl'), CHANNEL_ID);
+    assert.equal(provider.normalize('https://m.youtube.com/c/ExampleCreator'), 'ExampleCreator');
+    assert.equal(provider.normalize(' @ExampleCreator '), '@examplecreator');
+    assert.equal(provider.normalize('https://www.youtube.com/watch?v=abc'), '');
+});
+
+test('search caches results and looks up handles for 1 unit', async () => {
+    const expected = [{ username: CHANNEL_ID, label: 'Example Creator' }];
+
+    assert.deepEqual(await provider.search('Example'), expected);
+    assert.deepEqual(await provider.search('example '), expected);
+    assert.equal(provider.quotaUsed, 100);
+
+    assert.deepEqual(await provider.search('@examplecreator'), [{ username: CHANNEL_ID, label: 'Example Creator (@examplecreator)' }]);
+    assert.equal(provider.quotaUsed, 101);
+    assert.deepEqual(await provider.search('Ex'), []);
+});
+
+test('search stops before it uses most of the daily quota', async () => {
+    provider.recordQuota(provider.quotaLimit * 0.8 - 50);
+
+    assert.deepEqual(await provider.search('Example'), []);
+    assert.deepEqual(await provider.search('@examplecreator'), [{ username: CHANNEL_ID, label: 'Example Creator (@examplecreator)' }]);
+});
+
+test('WebSub needs a secret and stays off without one', async () => {
+    const push = { ...config, YOUTUBE_WEBSUB_CALLBACK_URL: 'https://bot.example.com/youtube/websub' };
+    const hooks = { registerWebhook() { throw new Error('should not register'); } };
+    assert.equal(await new YouTubeProvider(push).startPush(hooks), false);
+});
+
+test('WebSub drops unsigned deliveries and videos from other channels', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    youtube.addChannel(OTHER_CHANNEL_ID, '@someoneelse');
+    youtube.goLive(OTHER_CHANNEL_ID, 'other1');
+    youtube.goLive(CHANNEL_ID, 'live1');
+
+    const events = [];
+    const webSub = new YouTubeWebSub(provider, { callbackUrl: 'https://bot.example.com/youtube/websub', secret: SECRET, watchInterval: 60000 });
+    webSub.hooks = { onStreamEvent: (channelId, event) => events.push([channelId, event.status, event.info?.streamId]) };
+    webSub.wanted = new Set([CHANNEL_ID]);
+
+    // Resolves once the handler has acknowledged and checked the videos
+    const deliver = async (videoIds, sign = true) => {
+        const entries = videoIds.map(videoId => `<entry><yt:videoId>${videoId}</yt:videoId><yt:channelId>${CHANNEL_ID}</yt:channelId></entry>`);
+        const body = Buffer.from(`<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015">${entries.join('')}</feed>`);
+        const headers = sign ? { 'x-hub-signature': 'sha1=' + crypto.createHmac('sha1', SECRET).update(body).digest('hex') } : {};
+        const res = { writeHead(status) { this.status = status; }, end() {} };
+        webSub.handleWebhook({ method: 'POST', headers }, res, body);
+        assert.equal(res.status, 204);
+        await new Promise(resolve => setTimeout(resolve, 50));
+    };
+
+    await deliver(['live1'], false);
+    assert.deepEqual(events, []);
+
+    await deliver(['other1', 'live1']);
+    assert.deepEqual(events, [[CHANNEL_ID, 'online', 'live1']]);
+    assert.deepEqual(Array.from(webSub.watched.keys()), ['live1']);
+});